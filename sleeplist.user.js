@@ -1,8 +1,8 @@
 // ==UserScript==
 // @name         Mucklet Sleeper Filter
 // @namespace    https://mucklet.com/
-// @version      1.2.3
-// @description  Adds a toggle to split sleepers (asleep & highly idle characters) into a separate collapsible section in the room panel. Based on mucklet-client PR #457.
+// @version      1.27.0
+// @description  Adds a toggle to split the room panel into collapsible presence tiers (active, idle, away, asleep). Based on mucklet-client PR #457.
 // @author       Kredden
 // @match        https://mucklet.com/*
 // @match        https://*.mucklet.com/*
@@ -11,11 +11,16 @@
 // @grant        GM_addStyle
 // @grant        GM_getValue
 // @grant        GM_setValue
+// @grant        GM_addValueChangeListener
+// @grant        unsafeWindow
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    // The page's own window: the client's globals live there, and what we expose goes there
+    const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
     // =========================================================================
     // Configuration
     // =========================================================================
@@ -24,10 +29,139 @@
         scanInterval: 1500,
         // Persist toggle state across sessions
         storageKey: 'mucklet_sleeper_split',
-        // Persist sleepers section open/closed state
+        // Persist how sleepers are shown while the toggle is on (see DISPLAY_MODES)
+        displayModeKey: 'mucklet_display_mode',
+        // Persist the Awake panel toggle state
+        awakeStorageKey: 'mucklet_awake_sleeper_split',
+        // Persist the Awake panel sleepers group open/closed state
+        awakeSleepersOpenKey: 'mucklet_awake_sleepers_open',
+        // Legacy sleepers section open/closed state; used as the default for
+        // tiers that have no stored state of their own yet
         sleepersOpenKey: 'mucklet_sleepers_open',
-        // persist sleeping/idle status
+        // Persist the last observed state of Awake panel characters
         sleepingStatusKey: 'mucklet_sleeping_status',
+        // Minutes an observed state is trusted after the character was last seen
+        sleepingStatusTtl: 30,
+        // Persist per-tier section open/closed state (JSON object keyed by tier id)
+        tiersOpenKey: 'mucklet_tiers_open',
+        // Persist per-character overrides (JSON object keyed by normalized name)
+        overridesKey: 'mucklet_char_overrides',
+        // Persist when each character entered its current tier
+        tierTimesKey: 'mucklet_tier_times',
+        // Forget tier times of characters we haven't seen for this long (ms)
+        tierTimesRetention: 7 * 24 * 60 * 60 * 1000,
+        // Persist per-character notification choices (JSON object keyed by normalized name)
+        watchKey: 'mucklet_char_watch',
+        // Persist the sort order of characters within tier sections
+        sectionSortKey: 'mucklet_section_sort',
+        // Persist toggle states set for a realm, room or controlled character
+        scopedStateKey: 'mucklet_scoped_state',
+        // Persist user settings edited in the settings dialog
+        settingsKey: 'mucklet_sleeper_settings',
+        // Apply settings and toggle changes made in other open tabs live
+        syncTabs: true,
+        // Expose window.MuckletSleeperFilter for other userscripts
+        publicApi: false,
+        // Show an awake/asleep count above each exit's characters
+        exitSummaries: true,
+        // Accent (toggles, focus, highlights) and warning colors; empty to
+        // follow the client's theme
+        accentColor: '',
+        warningColor: '',
+        // UI strings
+        toggleLabel: 'Sleepers',
+        toggleTitle: 'Choose how idle, away and asleep characters are shown',
+        noAwakeText: 'No one awake in room.',
+        awakeToggleLabel: 'Group sleepers',
+        awakeToggleTitle: 'Move away and asleep characters into a group at the bottom of the list',
+        awakeSleepersLabel: 'Sleepers',
+        // Presence tiers, in display order. `level` is the suffix of the
+        // client's common--level-* class. `split` moves the tier's characters
+        // out of the main list into their own collapsible section; `sleeper`
+        // marks the tier as asleep/away for exit filtering.
+        tiers: [
+            { id: 'active', label: 'Active', level: 'active', split: false, sleeper: false },
+            { id: 'idle', label: 'Idle', level: 'idle', split: true, sleeper: false },
+            { id: 'away', label: 'Away', level: 'inactive', split: true, sleeper: true },
+            { id: 'asleep', label: 'Asleep', level: 'asleep', split: true, sleeper: true },
+        ],
+        // Read character state from the client's data models when the page
+        // exposes them, instead of from the common--level-* classes
+        useClientModel: true,
+        // User rules routing characters into their own sections of the
+        // "In room" list, tried in order before the tiers:
+        //   { id, label, match: 'name'|'badge'|'level'|'state', value, enabled }
+        rules: [],
+        // Minutes a character must be away from the active tier before it is
+        // moved out of the main list (0 = immediately)
+        gracePeriod: 0,
+        // Show how long characters in tier sections have been in their tier
+        showDurations: true,
+        // Notifications for watched characters waking up or arriving
+        notifyDesktop: true,
+        notifySound: false,
+        notifyHighlight: true,
+        // Minimum seconds between notifications; events in between are
+        // batched into the next one
+        notifyMinInterval: 10,
+        // Show the watchlist of characters picked with "Show in watchlist"
+        watchlist: true,
+        watchlistOpenKey: 'mucklet_watchlist_open',
+        // Most general scope toggle changes are saved to: 'global', 'host'
+        // (realm), 'room' or 'char' (controlled character). A change is never
+        // saved less specifically than the scope currently in effect.
+        toggleScope: 'global',
+        // Global hotkeys ('' = none). Combinations without Ctrl, Alt or Meta
+        // are ignored while typing in an input.
+        hotkeySplit: 'Alt+Shift+S',
+        hotkeySleepers: 'Alt+Shift+Z',
+        // Announce characters moving between sections to screen readers
+        announceMoves: true,
+        // Record awake/idle/asleep counts per room for the activity chart
+        recordHistory: true,
+        historyKey: 'mucklet_room_history',
+        // Days of room history to keep, and how many rooms
+        historyRetention: 28,
+        historyMaxRooms: 50,
+        // Last format picked in the roster export dialog
+        exportFormatKey: 'mucklet_export_format',
+        // Client markup the script depends on. Users can replace these in
+        // the settings when a client update renames a class; the selector
+        // health check reports the ones that stopped matching.
+        selectors: {
+            // The client's layout container; the script starts once it has
+            // content
+            appRoot: '.layoutdesktop, .layoutmobile, .screen.viewport',
+            roomPanel: '.roompanel, .pageroom',
+            roomName: '.pageroom .namesection',
+            population: '.pageroom--population',
+            inRoomSection: '.panelsection.pageroom--chars',
+            exitsSection: '.panelsection.pageroom--exits',
+            panelTitle: '.panelsection--title',
+            panelContent: '.panelsection--content',
+            inRoomHeader: '.pageroom--inroomheader',
+            roomChar: '.pageroom-char',
+            roomCharBadge: '.pageroom-char--badge',
+            awakePanel: '.pageawake',
+            awakeChar: '.pageawake-char',
+            exitChars: '.pageroom-exitchars',
+            exitCharsRow: '.pageroom-exitchars--row',
+            exitChar: '.pageroom-exitchars--char',
+            exit: '.pageroom-exit',
+            exitName: '.pageroom-exit--name',
+            charName: '[class*="-char--name"]',
+            badge: '.badge',
+            badgeInfo: '.badge--info',
+            badgeText: '.badge--text',
+            badgeTools: '.badge--tools',
+            charCounter: '.counter',
+            avatar: '.avatar',
+            // Image of an avatar (avatars without one show initials)
+            avatarImage: 'img',
+            // Class prefix of the idle level classes (common--level-idle etc.)
+            levelClassPrefix: 'common--level-',
+        },
+        healthDismissedKey: 'mucklet_health_dismissed',
         // Debug logging
         debug: false,
     };
@@ -36,13 +170,336 @@
         if (CONFIG.debug) console.log('[MuckletSleeperFilter]', ...args);
     }
 
+    // =========================================================================
+    // Settings
+    //
+    // The user-editable subset of CONFIG. Each field is addressed by a dotted
+    // path into CONFIG; a segment that hits an array selects the item with a
+    // matching `id` (e.g. "tiers.idle.label"). Settings are stored and
+    // exported as a plain object of the same shape, with tiers keyed by id.
+    // Storage keys are deliberately not editable.
+    // =========================================================================
+    const SELECTOR_LABELS = {
+        appRoot: 'App container',
+        roomPanel: 'Room panel',
+        roomName: 'Room name',
+        population: 'Population line',
+        inRoomSection: '"In room" section',
+        exitsSection: 'Exits section',
+        panelTitle: 'Section title',
+        panelContent: 'Section content',
+        inRoomHeader: '"In room" header',
+        roomChar: 'Room character',
+        roomCharBadge: 'Room character badge',
+        awakePanel: 'Awake panel',
+        awakeChar: 'Awake panel character',
+        exitChars: 'Exit characters',
+        exitCharsRow: 'Exit characters row',
+        exitChar: 'Exit character avatar',
+        exit: 'Exit',
+        exitName: 'Exit name',
+        charName: 'Character name',
+        badge: 'Character badge',
+        badgeInfo: 'Badge info',
+        badgeText: 'Badge text',
+        badgeTools: 'Badge tools',
+        charCounter: 'Badge counter',
+        avatar: 'Avatar',
+        avatarImage: 'Avatar image',
+        levelClassPrefix: 'Idle level class prefix',
+    };
+
+    const SETTINGS_FIELDS = [
+        { key: 'scanInterval', group: 'General', label: 'Rescan interval (ms)', type: 'number', min: 250 },
+        { key: 'useClientModel', group: 'General', label: 'Read state from client data', type: 'checkbox' },
+        { key: 'gracePeriod', group: 'General', label: 'Grace period (minutes)', type: 'number', min: 0 },
+        { key: 'showDurations', group: 'General', label: 'Show time in tier', type: 'checkbox' },
+        { key: 'exitSummaries', group: 'General', label: 'Awake/asleep counts at exits', type: 'checkbox' },
+        { key: 'sleepingStatusTtl', group: 'General', label: 'Trust cached sleeper status (minutes)', type: 'number', min: 1 },
+        { key: 'syncTabs', group: 'General', label: 'Sync with other open tabs', type: 'checkbox' },
+        { key: 'publicApi', group: 'General', label: 'API for other scripts (window.MuckletSleeperFilter)', type: 'checkbox' },
+        { key: 'debug', group: 'General', label: 'Debug logging', type: 'checkbox' },
+        {
+            key: 'toggleScope', group: 'General', label: 'Save toggle changes for', type: 'select',
+            options: [['global', 'Everywhere'], ['host', 'This realm'], ['room', 'This room'], ['char', 'This character']],
+        },
+        { key: 'hotkeySplit', group: 'Keyboard', label: 'Toggle the split', type: 'hotkey' },
+        { key: 'hotkeySleepers', group: 'Keyboard', label: 'Expand/collapse sleepers', type: 'hotkey' },
+        { key: 'announceMoves', group: 'Keyboard', label: 'Announce moved characters', type: 'checkbox' },
+        { key: 'notifyDesktop', group: 'Notifications', label: 'Desktop notification', type: 'checkbox' },
+        { key: 'notifySound', group: 'Notifications', label: 'Play a sound', type: 'checkbox' },
+        { key: 'notifyHighlight', group: 'Notifications', label: 'Highlight the badge', type: 'checkbox' },
+        { key: 'notifyMinInterval', group: 'Notifications', label: 'Min. seconds between notifications', type: 'number', min: 0 },
+        { key: 'watchlist', group: 'Notifications', label: 'Show the watchlist', type: 'checkbox' },
+        { key: 'recordHistory', group: 'History', label: 'Record room population', type: 'checkbox' },
+        { key: 'historyRetention', group: 'History', label: 'Keep history (days)', type: 'number', min: 1 },
+        { key: 'accentColor', group: 'Colors', label: 'Accent color', type: 'color' },
+        { key: 'warningColor', group: 'Colors', label: 'Warning color', type: 'color' },
+        { key: 'toggleLabel', group: 'Labels', label: 'Display mode label', type: 'text' },
+        { key: 'toggleTitle', group: 'Labels', label: 'Display mode tooltip', type: 'text' },
+        { key: 'noAwakeText', group: 'Labels', label: 'Nobody awake text', type: 'text' },
+        { key: 'awakeToggleLabel', group: 'Labels', label: 'Awake panel toggle label', type: 'text' },
+        { key: 'awakeToggleTitle', group: 'Labels', label: 'Awake panel toggle tooltip', type: 'text' },
+        { key: 'awakeSleepersLabel', group: 'Labels', label: 'Awake panel sleepers group', type: 'text' },
+        { key: 'rules', group: 'Sections', label: 'Section rules', type: 'rules' },
+        ...CONFIG.tiers.flatMap(tier => [
+            { key: `tiers.${tier.id}.label`, group: 'Tiers', label: `${tier.label}: label`, type: 'text' },
+            { key: `tiers.${tier.id}.split`, group: 'Tiers', label: `${tier.label}: own section`, type: 'checkbox' },
+            { key: `tiers.${tier.id}.sleeper`, group: 'Tiers', label: `${tier.label}: hide in exits`, type: 'checkbox' },
+        ]),
+        ...Object.entries(SELECTOR_LABELS).map(([key, label]) => (key === 'levelClassPrefix'
+            ? { key: `selectors.${key}`, group: 'Selectors', label, type: 'text', pattern: /^-?[_a-zA-Z][\w-]*$/ }
+            : { key: `selectors.${key}`, group: 'Selectors', label, type: 'selector' })),
+    ];
+
+    function getPath(obj, path) {
+        let cur = obj;
+        for (const seg of path.split('.')) {
+            if (cur == null) return undefined;
+            cur = Array.isArray(cur) ? cur.find(item => item.id === seg) : cur[seg];
+        }
+        return cur;
+    }
+
+    function setPath(obj, path, value) {
+        const segs = path.split('.');
+        const last = segs.pop();
+        let cur = obj;
+        for (const seg of segs) {
+            let next = Array.isArray(cur) ? cur.find(item => item.id === seg) : cur[seg];
+            if (next == null) {
+                next = cur[seg] = {};
+            }
+            cur = next;
+        }
+        cur[last] = value;
+    }
+
+    const HOTKEY_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    /**
+     * Normalize a hotkey like "shift+alt+s" to "Alt+Shift+S". Returns '' for
+     * an empty string and null if it isn't a valid combination.
+     */
+    function normalizeHotkey(str) {
+        const parts = str.split('+').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) return '';
+        let key = parts.pop();
+        const mods = parts.map(part => HOTKEY_MODIFIERS.find(mod => mod.toLowerCase() === part.toLowerCase()));
+        if (mods.includes(undefined) || HOTKEY_MODIFIERS.some(mod => mod.toLowerCase() === key.toLowerCase())) {
+            return null;
+        }
+        if (key.length === 1) key = key.toUpperCase();
+        return [...HOTKEY_MODIFIERS.filter(mod => mods.includes(mod)), key].join('+');
+    }
+
+    const RULE_MATCHES = {
+        name: 'Name is one of',
+        badge: 'Badge text contains',
+        level: 'Idle level is one of',
+        state: 'State is one of',
+    };
+
+    /**
+     * Parse the value of a badge text rule: "/regex/flags", or plain text to
+     * search for. Case-insensitive unless flags are given. Throws on an
+     * invalid regex.
+     */
+    function parseRulePattern(value) {
+        const regex = /^\/(.+)\/([a-z]*)$/.exec(value.trim());
+        if (regex) return new RegExp(regex[1], regex[2].replace(/[gy]/g, '') || 'i');
+        return new RegExp(value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    /**
+     * Validate a list of section rules, giving each a unique id.
+     */
+    function coerceRules(field, value) {
+        if (!Array.isArray(value)) throw new Error(`${field.key} must be a list of rules`);
+        const ids = new Set();
+        return value.map((rule, i) => {
+            const where = `${field.key}[${i}]`;
+            if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+            if (typeof rule.label !== 'string' || !rule.label.trim()) throw new Error(`${where} needs a section name`);
+            if (!RULE_MATCHES[rule.match]) {
+                throw new Error(`${where}.match must be one of ${Object.keys(RULE_MATCHES).join(', ')}`);
+            }
+            if (typeof rule.value !== 'string' || !rule.value.trim()) throw new Error(`${where} needs a value to match`);
+            if (rule.match === 'badge') {
+                try {
+                    parseRulePattern(rule.value);
+                } catch (e) {
+                    throw new Error(`${where}.value: ${e.message}`);
+                }
+            }
+            let id = typeof rule.id === 'string' && /^[\w-]+$/.test(rule.id) ? rule.id : `rule${i + 1}`;
+            while (ids.has(id)) id += '-';
+            ids.add(id);
+            return { id, label: rule.label.trim(), match: rule.match, value: rule.value.trim(), enabled: rule.enabled !== false };
+        });
+    }
+
+    function isValidColor(color) {
+        const probe = document.createElement('span').style;
+        probe.color = color.trim();
+        return probe.color !== '';
+    }
+
+    function isValidSelector(selector) {
+        if (!selector.trim()) return false;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Validate a single setting value against its field definition.
+     * Throws if the value has the wrong type.
+     */
+    function coerceSetting(field, value) {
+        switch (field.type) {
+            case 'checkbox':
+                if (typeof value !== 'boolean') throw new Error(`${field.key} must be true or false`);
+                return value;
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) throw new Error(`${field.key} must be a number`);
+                return field.min !== undefined ? Math.max(field.min, value) : value;
+            case 'select':
+                if (!field.options.some(([option]) => option === value)) {
+                    throw new Error(`${field.key} must be one of ${field.options.map(([option]) => option).join(', ')}`);
+                }
+                return value;
+            case 'selector':
+                if (typeof value !== 'string' || !isValidSelector(value)) {
+                    throw new Error(`${field.key} must be a valid CSS selector`);
+                }
+                return value.trim();
+            case 'rules':
+                return coerceRules(field, value);
+            case 'color':
+                if (typeof value !== 'string') throw new Error(`${field.key} must be a string`);
+                if (value.trim() && !isValidColor(value)) throw new Error(`${field.key} must be a CSS color`);
+                return value.trim();
+            case 'hotkey': {
+                const hotkey = typeof value === 'string' ? normalizeHotkey(value) : null;
+                if (hotkey === null) throw new Error(`${field.key} must be a key combination like Alt+Shift+S`);
+                return hotkey;
+            }
+            default:
+                if (typeof value !== 'string') throw new Error(`${field.key} must be a string`);
+                if (field.pattern && !field.pattern.test(value)) throw new Error(`${field.key} is not valid`);
+                return value;
+        }
+    }
+
+    /**
+     * Get the current settings as a plain object.
+     */
+    function getSettings() {
+        const settings = {};
+        for (const field of SETTINGS_FIELDS) {
+            setPath(settings, field.key, getPath(CONFIG, field.key));
+        }
+        return settings;
+    }
+
+    /**
+     * Validate a (possibly partial) settings object and merge it over a copy
+     * of `base`. Missing keys keep their base value; unknown keys are ignored.
+     * Throws on the first invalid value.
+     */
+    function mergeSettings(base, settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Settings must be a JSON object');
+        }
+        const merged = JSON.parse(JSON.stringify(base));
+        for (const field of SETTINGS_FIELDS) {
+            const value = getPath(settings, field.key);
+            if (value === undefined) continue;
+            setPath(merged, field.key, coerceSetting(field, value));
+        }
+        return merged;
+    }
+
+    /**
+     * Validate a settings object and copy its values into CONFIG.
+     * Nothing is applied if any value is invalid.
+     */
+    function applySettings(settings) {
+        const merged = mergeSettings(getSettings(), settings);
+        for (const field of SETTINGS_FIELDS) {
+            setPath(CONFIG, field.key, getPath(merged, field.key));
+        }
+    }
+
+    function saveSettings() {
+        GM_setValue(CONFIG.settingsKey, JSON.stringify(getSettings()));
+    }
+
+    // Snapshot the built-in defaults before stored settings are applied
+    const DEFAULT_SETTINGS = getSettings();
+
+    try {
+        applySettings(JSON.parse(GM_getValue(CONFIG.settingsKey, '{}')));
+    } catch (e) {
+        console.warn('[MuckletSleeperFilter] Ignoring invalid stored settings:', e.message);
+    }
+
     // =========================================================================
     // State
     // =========================================================================
+    // Toggle states. These are resolved through the scope hierarchy by
+    // refreshScopedState() and changed with setScoped().
     let splitEnabled = GM_getValue(CONFIG.storageKey, false);
-    let sleepersOpen = GM_getValue(CONFIG.sleepersOpenKey, false);
+    let displayMode = GM_getValue(CONFIG.displayModeKey, 'split');
+    let tiersOpen = loadTiersOpen();
+    let awakeSplitEnabled = GM_getValue(CONFIG.awakeStorageKey, false);
+    let awakeSleepersOpen = GM_getValue(CONFIG.awakeSleepersOpenKey, false);
+    let sectionSort = GM_getValue(CONFIG.sectionSortKey, 'client');
+    let scopedState = loadScopedState();
+    let scopeSignature = '';
+    let charOverrides = loadCharOverrides();
+    let charWatch = loadCharWatch();
+    // Current "In room" search text; kept for the session only
+    let roomSearch = '';
+    // Last observed state of Awake panel characters, see updateSleepingStatus()
+    const sleepingStatus = loadSleepingStatus();
+    let sleepingStatusCleared = sleepingStatus.cleared;
+    let sleepingStatusSignature = getSleepingStatusSignature();
+    let sleepingStatusSaved = 0;
+    const tierTimes = loadTierTimes();
+    let tierTimesSaved = 0;
+    // Set when a character was first seen or changed tier since the last save
+    let tierTimesDirty = false;
+    const roomHistory = loadRoomHistory();
+    let roomHistorySampled = 0;
+    // Earliest time a character's grace period runs out, tracked while
+    // filtering so a re-filter can be scheduled for it
+    let nextGraceExpiry = Infinity;
+    let graceTimer = null;
     let lastRoomPanel = null;
+    // Characters seen in the room and Awake panels, keyed by normalized full
+    // name. See updateRegistry().
+    const charRegistry = new Map();
+    let registryPass = 0;
+    // Keys of the characters registered by the latest updateRegistry() pass
+    let registryVisible = new Set();
+    // Registry records by avatar id, by initials (records without an avatar
+    // id only) and by first name, rebuilt by updateRegistry()
+    let registryByAvatar = new Map();
+    let registryByInitials = new Map();
+    let registryByFirstName = new Map();
+    // Client character models by normalized full name, or null when the page
+    // doesn't expose them. See refreshClientModels().
+    let clientModels = null;
+    let clientModelHandler = null;
+    const subscribedModels = new Set();
     let observer = null;
+    let observedRoots = [];
+    let scanTimer = null;
     // Flag to suppress the observer while applyFilter() is modifying the DOM.
     // Without this, every DOM change we make (add/remove classes, insert/remove
     // sections) fires the observer and schedules another applyFilter(), creating
@@ -52,6 +509,8 @@
     // =========================================================================
     // Styles
     // =========================================================================
+    // Colors come from the --msf-*-rgb properties set by updateTheme(), with
+    // the dark theme as fallback
     GM_addStyle(`
         /* Toggle container */
         .msf-toggle-container {
@@ -73,13 +532,13 @@
             position: relative;
             width: 32px;
             height: 18px;
-            background: rgba(255,255,255,0.15);
+            background: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.15);
             border-radius: 9px;
             transition: background 0.2s;
             flex-shrink: 0;
         }
         .msf-toggle-switch.active {
-            background: rgba(100, 180, 255, 0.5);
+            background: rgba(var(--msf-accent-rgb, 100, 180, 255), 0.5);
         }
         .msf-toggle-switch::after {
             content: '';
@@ -88,13 +547,13 @@
             left: 2px;
             width: 14px;
             height: 14px;
-            background: rgba(255,255,255,0.7);
+            background: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.7);
             border-radius: 50%;
             transition: transform 0.2s;
         }
         .msf-toggle-switch.active::after {
             transform: translateX(14px);
-            background: rgba(150, 210, 255, 1);
+            background: rgb(var(--msf-accent-rgb, 150, 210, 255));
         }
 
         .msf-toggle-label {
@@ -102,12 +561,122 @@
             font-size: 12px;
         }
 
-        /* Sleepers section */
-        .msf-sleepers-section {
-            border-top: 1px solid rgba(255,255,255,0.08);
+        /* Display mode selector of the "In room" section */
+        .msf-mode-container {
+            cursor: default;
+        }
+        .msf-mode-select {
+            font: inherit;
+            color: inherit;
+            background: rgb(var(--msf-surface-rgb, 30, 35, 48));
+            border: 1px solid rgba(var(--msf-fg-rgb, 255, 255, 255), 0.2);
+            border-radius: 3px;
+            padding: 1px 4px;
+        }
+
+        .msf-settings-btn {
+            margin-left: auto;
+            cursor: pointer;
+            padding: 0 4px;
+            font-size: 14px;
+            opacity: 0.6;
+        }
+        .msf-settings-btn:hover {
+            opacity: 1;
+        }
+
+        /* Settings dialog */
+        .msf-dialog-overlay {
+            position: fixed;
+            inset: 0;
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0,0,0,0.5);
+        }
+        .msf-dialog {
+            width: 420px;
+            max-width: calc(100vw - 32px);
+            max-height: calc(100vh - 64px);
+            overflow-y: auto;
+            padding: 16px;
+            border-radius: 6px;
+            background: rgb(var(--msf-surface-rgb, 30, 35, 48));
+            color: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.85);
+            font-size: 13px;
+            box-shadow: 0 4px 24px rgba(0,0,0,0.5);
+        }
+        .msf-dialog h2 {
+            margin: 0 0 12px 0;
+            font-size: 16px;
+        }
+        .msf-dialog h3 {
+            margin: 12px 0 6px 0;
+            font-size: 13px;
+            opacity: 0.6;
+        }
+        .msf-dialog-field {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 3px 0;
+        }
+        .msf-dialog-field input[type="text"],
+        .msf-dialog-field input[type="number"] {
+            width: 180px;
+        }
+        .msf-dialog textarea {
+            width: 100%;
+            box-sizing: border-box;
+            min-height: 80px;
+            margin-top: 6px;
+            font-family: monospace;
+            font-size: 11px;
+        }
+        .msf-dialog-error {
+            margin-top: 6px;
+            color: rgb(var(--msf-danger-rgb, 255, 120, 120));
+        }
+        .msf-dialog-field-failed > span {
+            color: rgb(var(--msf-danger-rgb, 255, 120, 120));
+        }
+        .msf-dialog-hint {
+            margin-top: 4px;
+            font-size: 11px;
+            opacity: 0.6;
+        }
+        .msf-rule-row {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 3px 0;
+        }
+        .msf-rule-row input[type="text"] {
+            flex: 1;
+            min-width: 0;
+        }
+        .msf-dialog-buttons {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 12px;
+        }
+        .msf-dialog-buttons .msf-dialog-spacer {
+            flex: 1;
+        }
+
+        /* Tier sections. The client's own character elements stay in their
+           list; the list becomes a flex column and CSS order places each
+           character after its section header. */
+        .msf-split-list {
+            display: flex !important;
+            flex-direction: column;
         }
 
-        .msf-sleepers-header {
+        .msf-tier-header {
+            border-top: 1px solid rgba(var(--msf-fg-rgb, 255, 255, 255), 0.08);
             display: flex;
             align-items: center;
             gap: 6px;
@@ -117,34 +686,192 @@
             opacity: 0.7;
             font-size: 13px;
         }
-        .msf-sleepers-header:hover {
+        .msf-tier-header:hover {
             opacity: 1;
         }
 
-        .msf-sleepers-arrow {
+        .msf-tier-arrow {
             font-size: 10px;
             transition: transform 0.2s;
             display: inline-block;
         }
-        .msf-sleepers-arrow.open {
+        .msf-tier-arrow.open {
             transform: rotate(90deg);
         }
 
-        .msf-sleepers-list {
+        .msf-tier-count {
+            opacity: 0.5;
+            font-size: 11px;
+        }
+
+        /* While searching, matches in collapsed sections are shown too, so
+           collapsing only hides characters of lists not being searched */
+        .msf-hidden-char,
+        :not(.msf-searching) > .msf-collapsed-char,
+        .msf-search-hidden {
+            display: none !important;
+        }
+
+        /* Search and sort bar above the "In room" list */
+        .msf-search-bar {
+            display: flex;
+            gap: 6px;
+            padding: 4px 12px;
+        }
+        .msf-search-bar input {
+            flex: 1;
+            min-width: 0;
+        }
+
+        /* Display modes other than sections. Dimmed characters keep their
+           place; compact ones become an avatar-only strip at the end of the
+           list, with everything else still one per line. */
+        .msf-dimmed-char {
+            opacity: 0.4;
+            transition: opacity 0.2s;
+        }
+        .msf-dimmed-char:hover,
+        .msf-dimmed-char:focus-within {
+            opacity: 0.85;
+        }
+        .msf-split-list.msf-compact-list {
+            flex-flow: row wrap;
+        }
+        .msf-compact-list > * {
+            flex: 0 0 100%;
+        }
+        .msf-compact-list > .msf-compact-char {
+            flex: 0 0 auto;
+        }
+        .msf-compact-char .msf-duration {
+            display: none !important;
+        }
+        .msf-compact-label {
+            padding: 8px 12px 2px;
+            font-size: 11px;
+            opacity: 0.6;
+        }
+        .msf-wrap-mode .msf-compact-char {
+            order: 1;
+            opacity: 0.6;
+        }
+
+        /* Watchlist */
+        .msf-watchlist {
+            padding: 4px 12px 6px;
+            font-size: 12px;
+            border-bottom: 1px solid rgba(var(--msf-fg-rgb, 255, 255, 255), 0.08);
+        }
+        .msf-watchlist-header {
+            padding: 2px 0;
+            cursor: pointer;
+            user-select: none;
+            opacity: 0.7;
+        }
+        .msf-watchlist-header:hover {
+            opacity: 1;
+        }
+        .msf-watchlist-list {
+            margin: 2px 0 0;
+            padding: 0;
+            list-style: none;
+        }
+        .msf-watchlist-row {
+            display: flex;
+            justify-content: space-between;
+            gap: 8px;
+            padding: 1px 0;
+            cursor: pointer;
+        }
+        .msf-watchlist-row::before {
+            content: '';
+            flex: 0 0 auto;
+            width: 6px;
+            height: 6px;
+            margin-top: 5px;
+            border-radius: 50%;
+            background: rgb(var(--msf-accent-rgb, 100, 180, 255));
+        }
+        .msf-watchlist-sleeper::before {
+            background: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.3);
+        }
+        .msf-watchlist-sleeper .msf-watchlist-name {
+            opacity: 0.6;
+        }
+        .msf-watchlist-name {
+            flex: 1;
             overflow: hidden;
-            transition: max-height 0.3s ease;
+            text-overflow: ellipsis;
+            white-space: nowrap;
         }
-        .msf-sleepers-list.collapsed {
-            max-height: 0 !important;
+        .msf-watchlist-state {
+            opacity: 0.6;
+            text-align: right;
         }
 
-        .msf-sleepers-count {
-            opacity: 0.5;
+        /* Exit avatars we could not tie to a single known character */
+        .msf-unidentified-char {
+            outline: 1px dashed rgba(var(--msf-fg-rgb, 255, 255, 255), 0.3);
+            outline-offset: -1px;
+        }
+
+        /* Per-character override button and menu */
+        .msf-override-btn {
+            padding: 0 4px;
+            font-size: 12px;
+            opacity: 0;
+            cursor: pointer;
+            user-select: none;
+        }
+        .msf-override-host:hover .msf-override-btn,
+        .msf-override-btn.set {
+            opacity: 0.6;
+        }
+        .msf-override-btn:hover {
+            opacity: 1 !important;
+        }
+        .msf-override-menu {
+            position: fixed;
+            z-index: 10000;
+            min-width: 180px;
+            padding: 4px 0;
+            border-radius: 4px;
+            background: rgb(var(--msf-surface-rgb, 30, 35, 48));
+            color: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.85);
+            font-size: 12px;
+            box-shadow: 0 2px 12px rgba(0,0,0,0.5);
+        }
+        .msf-override-menu > div {
+            padding: 4px 12px;
+            cursor: pointer;
+        }
+        .msf-override-menu > div:hover {
+            background: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.08);
+        }
+        .msf-override-menu > div.selected {
+            font-weight: bold;
+        }
+
+        @keyframes msf-highlight {
+            0%, 100% { background: transparent; }
+            50% { background: rgba(var(--msf-accent-rgb, 100, 180, 255), 0.35); }
+        }
+        .msf-highlight {
+            animation: msf-highlight 1s ease-in-out 3;
+        }
+
+        .msf-duration {
+            margin-left: 6px;
             font-size: 11px;
+            opacity: 0.5;
+            white-space: nowrap;
         }
 
-        .msf-hidden-char {
-            display: none !important;
+        .msf-hidden-count {
+            padding: 4px 16px;
+            font-size: 11px;
+            opacity: 0.4;
+            font-style: italic;
         }
 
         .msf-hidden-row {
@@ -161,12 +888,230 @@
             padding-top: 4px;
             margin-left: -2px;
         }
-        .msf-wrap-mode > .pageroom-exitchars--row {
-            display: contents !important;
+
+        /* Exit summaries */
+        .msf-exit-summary {
+            display: inline-block;
+            margin: 2px 0;
+            font-size: 11px;
+            opacity: 0.6;
+            cursor: pointer;
+        }
+        .msf-exit-summary:hover,
+        .msf-exit-summary:focus {
+            opacity: 0.9;
+        }
+        .msf-exit-peek {
+            position: fixed;
+            z-index: 10000;
+            min-width: 160px;
+            max-height: 50vh;
+            overflow-y: auto;
+            padding: 4px 0;
+            border-radius: 4px;
+            background: rgb(var(--msf-surface-rgb, 30, 35, 48));
+            color: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.85);
+            font-size: 12px;
+            box-shadow: 0 2px 12px rgba(0,0,0,0.5);
+        }
+        .msf-exit-peek > div {
+            display: flex;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 2px 12px;
+        }
+        .msf-exit-peek-sleeper {
+            opacity: 0.5;
+        }
+        .msf-exit-peek-state {
+            opacity: 0.7;
+            font-style: italic;
+        }
+
+        /* Selector health banner */
+        .msf-health-banner {
+            position: fixed;
+            right: 12px;
+            bottom: 12px;
+            z-index: 9999;
+            max-width: 360px;
+            padding: 8px 12px;
+            border-left: 3px solid rgba(var(--msf-warning-rgb, 255, 170, 80), 0.9);
+            border-radius: 4px;
+            background: rgb(var(--msf-surface-rgb, 30, 35, 48));
+            color: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.85);
+            font-size: 12px;
+            box-shadow: 0 2px 12px rgba(0,0,0,0.4);
+        }
+        .msf-health-banner ul {
+            margin: 6px 0 0 0;
+            padding-left: 16px;
+        }
+        .msf-health-banner .msf-dialog-buttons {
+            margin-top: 8px;
+        }
+
+        /* Room population */
+        .msf-population {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 12px;
+            opacity: 0.7;
+        }
+        .msf-activity-btn {
+            cursor: pointer;
+            opacity: 0.6;
+        }
+        .msf-activity-btn:hover {
+            opacity: 1;
+        }
+        .msf-dialog.msf-activity-dialog {
+            width: 560px;
+        }
+        .msf-dialog.msf-export-dialog {
+            width: 520px;
+        }
+        .msf-dialog.msf-export-dialog textarea {
+            min-height: 240px;
+            white-space: pre;
+        }
+        .msf-export-btn {
+            margin-left: auto;
+            padding: 0 4px;
+            font-size: 14px;
+            opacity: 0.6;
+            cursor: pointer;
+        }
+        .msf-export-btn:hover {
+            opacity: 1;
+        }
+        .msf-export-btn + .msf-settings-btn {
+            margin-left: 0;
+        }
+        .msf-activity-grid {
+            display: grid;
+            grid-template-columns: 32px repeat(24, 1fr);
+            gap: 1px;
+            font-size: 10px;
+        }
+        .msf-activity-label {
+            opacity: 0.6;
+        }
+        .msf-activity-cell {
+            height: 14px;
+            border-radius: 2px;
+            background: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.04);
+        }
+
+        /* Keyboard focus */
+        .msf-toggle-container:focus-visible,
+        .msf-settings-btn:focus-visible,
+        .msf-export-btn:focus-visible,
+        .msf-activity-btn:focus-visible,
+        .msf-watchlist-header:focus-visible,
+        .msf-watchlist-row:focus-visible,
+        .msf-tier-header:focus-visible,
+        .msf-override-btn:focus-visible,
+        .msf-override-menu > div:focus-visible {
+            outline: 2px solid rgba(var(--msf-accent-rgb, 100, 180, 255), 0.8);
+            outline-offset: -2px;
+            opacity: 1;
+        }
+        .msf-override-menu > div:focus {
+            background: rgba(var(--msf-fg-rgb, 255, 255, 255), 0.08);
+        }
+        .msf-sr-only {
+            position: absolute !important;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+        }
+
+        /* Touch screens have no hover, so show hover-only controls */
+        @media (hover: none) {
+            .msf-override-btn {
+                opacity: 0.6;
+            }
+        }
+
+        /* Touch screens: touch-sized controls */
+        @media (pointer: coarse) {
+            .msf-toggle-container {
+                min-height: 40px;
+                padding: 8px 12px;
+                font-size: 14px;
+                box-sizing: border-box;
+            }
+            .msf-toggle-label,
+            .msf-mode-select {
+                font-size: 14px;
+            }
+            .msf-mode-select {
+                min-height: 32px;
+            }
+            .msf-watchlist {
+                font-size: 14px;
+            }
+            .msf-watchlist-header,
+            .msf-watchlist-row {
+                min-height: 36px;
+                align-items: center;
+            }
+            .msf-toggle-switch {
+                width: 40px;
+                height: 22px;
+                border-radius: 11px;
+            }
+            .msf-toggle-switch::after {
+                width: 18px;
+                height: 18px;
+            }
+            .msf-toggle-switch.active::after {
+                transform: translateX(18px);
+            }
+            .msf-tier-header {
+                min-height: 44px;
+                padding: 10px 16px;
+                font-size: 15px;
+                box-sizing: border-box;
+            }
+            .msf-settings-btn,
+            .msf-export-btn,
+            .msf-override-btn {
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                min-width: 40px;
+                min-height: 40px;
+                font-size: 18px;
+                opacity: 0.6;
+            }
+            .msf-exit-summary {
+                padding: 8px 0;
+                font-size: 13px;
+            }
+            .msf-exit-peek {
+                font-size: 15px;
+            }
+            .msf-search-bar input,
+            .msf-search-bar select {
+                min-height: 36px;
+                /* 16px keeps iOS from zooming in on focus */
+                font-size: 16px;
+            }
+            .msf-override-menu > div {
+                padding: 12px 16px;
+                font-size: 15px;
+            }
+            .msf-dialog-field {
+                min-height: 40px;
+            }
         }
 
-        .msf-no-awake-placeholder,
-        .msf-no-sleepers-placeholder {
+        .msf-no-awake-placeholder {
             padding: 6px 16px;
             font-size: 12px;
             opacity: 0.4;
@@ -175,34 +1120,597 @@
     `);
 
     // =========================================================================
-    // Character state detection
-    //
-    // The Mucklet client renders character items in the room panel. Each char
-    // element (or a descendant) is tagged with a CSS class reflecting its state:
-    //   - "common--level-asleep"   → disconnected / sleeping characters
-    //   - "common--level-inactive" → idle level 3 (away / "red names")
+    // Client styles
     //
-    // Both of these map to what the PR calls "sleepers":
-    //   ch.state === 'asleep' || ch.idle === 3
+    // Rules for the client's own markup are built from CONFIG.selectors, so
+    // a selector replaced in the settings applies to them as well. Each
+    // selector is wrapped in :is(), which keeps lists like "a, b" scoped.
+    // updateClientStyles() runs on every pass and only rewrites the rules
+    // when the selectors changed.
     // =========================================================================
 
-    /**
-     * Determines if a character element represents a sleeping or highly idle character.
-     * Checks the element itself and any descendants for the Mucklet client's
-     * level-indicator CSS classes.
-     */
-    function isSleeperChar(charEl) {
-        // Check the element itself
-        if (charEl.classList.contains('common--level-asleep') ||
-            charEl.classList.contains('common--level-inactive')) {
-            return true;
-        }
+    let clientStyleSignature = '';
 
-        if (charEl.querySelector('.common--level-asleep, .common--level-inactive')) {
-            return true;
+    function updateClientStyles() {
+        const { badge, badgeInfo, badgeTools, charCounter, exitCharsRow } = CONFIG.selectors;
+        const signature = JSON.stringify([badge, badgeInfo, badgeTools, charCounter, exitCharsRow]);
+        if (signature === clientStyleSignature) return;
+        clientStyleSignature = signature;
+
+        let style = document.getElementById('msf-client-styles');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'msf-client-styles';
+            document.head.appendChild(style);
+        }
+        style.textContent = `
+            /* Compact sleepers show their avatar only */
+            .msf-compact-char :is(${badgeInfo}),
+            .msf-compact-char :is(${badgeTools}),
+            .msf-compact-char :is(${charCounter}) {
+                display: none !important;
+            }
+            .msf-compact-char :is(${badge}) {
+                margin: 2px !important;
+                opacity: 0.7;
+            }
+
+            /* Exit avatars of all rows flow in one wrapping grid */
+            .msf-wrap-mode > :is(${exitCharsRow}) {
+                display: contents !important;
+            }
+        `;
+    }
+
+    // =========================================================================
+    // Theme
+    //
+    // The styles use "r, g, b" custom properties, e.g.
+    // rgba(var(--msf-fg-rgb), 0.15), so one base color serves every
+    // opacity. updateTheme() derives them from the client's own panels: the
+    // text color of the "In room" section and the first opaque background
+    // behind it. It runs on every pass and scan, which picks up theme
+    // switches at runtime.
+    // =========================================================================
+
+    const THEME_DEFAULTS = {
+        dark: { accent: [100, 180, 255], warning: [255, 170, 80], danger: [255, 120, 120] },
+        light: { accent: [25, 110, 200], warning: [200, 110, 0], danger: [200, 40, 40] },
+    };
+    let themeSignature = '';
+
+    /**
+     * Parse a computed color ("rgb(...)", "rgba(...)" or "#rrggbb") into
+     * [r, g, b, a], or null.
+     */
+    function parseColor(value) {
+        value = (value || '').trim();
+        let m = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+)(%?))?\s*\)$/.exec(value);
+        if (m) {
+            const alpha = m[4] === undefined ? 1 : parseFloat(m[4]) / (m[5] ? 100 : 1);
+            return [Number(m[1]), Number(m[2]), Number(m[3]), alpha];
+        }
+        m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+        if (m) {
+            const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+            return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16)).concat(1);
+        }
+        return null;
+    }
+
+    /**
+     * Resolve any CSS color (names included) through a probe element.
+     */
+    function resolveColor(value) {
+        const probe = document.createElement('span');
+        probe.style.display = 'none';
+        probe.style.color = value;
+        document.body.appendChild(probe);
+        const color = parseColor(getComputedStyle(probe).color) || parseColor(value);
+        probe.remove();
+        return color;
+    }
+
+    function getLuminance([r, g, b]) {
+        const channel = (c) => {
+            c /= 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    }
+
+    /**
+     * Read the text and background color of the client's panels. The
+     * background is null if nothing behind the panel is opaque.
+     */
+    function getPanelColors() {
+        const panel = document.querySelector(CONFIG.selectors.inRoomSection) ||
+            document.querySelector(CONFIG.selectors.awakePanel) || document.body;
+        const fg = parseColor(getComputedStyle(panel).color);
+        for (let el = panel; el; el = el.parentElement) {
+            const bg = parseColor(getComputedStyle(el).backgroundColor);
+            if (bg && bg[3] > 0.5) return { fg, bg };
+        }
+        return { fg, bg: null };
+    }
+
+    /**
+     * Set the --msf-*-rgb properties from the client's colors and the
+     * color settings. Only writes when something changed.
+     */
+    function updateTheme() {
+        const { fg, bg } = getPanelColors();
+        const signature = JSON.stringify([fg, bg, CONFIG.accentColor, CONFIG.warningColor]);
+        if (signature === themeSignature) return;
+        themeSignature = signature;
+
+        // Without a background to go by, keep the dark theme the styles
+        // fall back to
+        const light = !!bg && getLuminance(bg) > 0.5;
+        const defaults = THEME_DEFAULTS[light ? 'light' : 'dark'];
+        const colors = {
+            fg: bg && fg ? fg : [255, 255, 255],
+            surface: bg || [30, 35, 48],
+            accent: (CONFIG.accentColor && resolveColor(CONFIG.accentColor)) || defaults.accent,
+            warning: (CONFIG.warningColor && resolveColor(CONFIG.warningColor)) || defaults.warning,
+            danger: defaults.danger,
+        };
+        const root = document.documentElement;
+        for (const [name, color] of Object.entries(colors)) {
+            root.style.setProperty(`--msf-${name}-rgb`, color.slice(0, 3).map(Math.round).join(', '));
+        }
+        log(`Theme: ${light ? 'light' : 'dark'}`, colors);
+    }
+
+    // =========================================================================
+    // Character state detection
+    //
+    // The Mucklet client renders character items in the room panel. Each char
+    // element (or a descendant) is tagged with a CSS class reflecting its state:
+    //   - "common--level-active"   → awake and recently active
+    //   - "common--level-idle"     → idle level 1-2 (idle for a bit)
+    //   - "common--level-inactive" → idle level 3 (away / "red names")
+    //   - "common--level-asleep"   → disconnected / sleeping characters
+    //
+    // Each level maps to one of the CONFIG.tiers. The last two are what the
+    // PR calls "sleepers":
+    //   ch.state === 'asleep' || ch.idle === 3
+    // =========================================================================
+
+    /**
+     * Get the presence tier of a character element: from a classifier
+     * registered through the public API, from the client's model of the
+     * character if available, otherwise from its level classes.
+     */
+    function getCharTier(charEl) {
+        const classified = classifyChar(charEl);
+        if (classified) return classified;
+        const model = getCharModel(charEl);
+        return (model && getModelTier(model)) || getDomCharTier(charEl);
+    }
+
+    /**
+     * Get the presence tier of a character element from the DOM.
+     * Checks the element itself and then its descendants for the Mucklet
+     * client's level-indicator CSS classes. Characters without any level
+     * class are treated as belonging to the first (active) tier.
+     */
+    function getDomCharTier(charEl) {
+        for (const tier of CONFIG.tiers) {
+            if (charEl.classList.contains(CONFIG.selectors.levelClassPrefix + tier.level)) {
+                return tier;
+            }
+        }
+
+        for (const tier of CONFIG.tiers) {
+            if (charEl.querySelector('.' + CONFIG.selectors.levelClassPrefix + tier.level)) {
+                return tier;
+            }
+        }
+
+        return CONFIG.tiers[0];
+    }
+
+    /**
+     * Determines if a character element represents a sleeping or highly idle character.
+     */
+    function isSleeperChar(charEl) {
+        return getCharTier(charEl).sleeper;
+    }
+
+    // =========================================================================
+    // Client model adapter
+    //
+    // When the page exposes the client's modapp instance (window.app), its
+    // character models carry the same `state` and `idle` fields the PR's
+    // filter uses, so we read them directly instead of scraping classes.
+    // Models are looked up by full name and we subscribe to their change
+    // events to re-filter as soon as a character's state changes. If the app
+    // or a model can't be found, getCharTier() falls back to the DOM.
+    // =========================================================================
+
+    // Level class suffix for each of the client's idle values
+    const IDLE_LEVELS = ['active', 'active', 'idle', 'inactive'];
+
+    /**
+     * Get the client's modapp instance, if the page exposes one.
+     */
+    function getClientApp() {
+        const app = pageWindow.app;
+        return app && typeof app.getModule === 'function' ? app : null;
+    }
+
+    function getClientModule(app, name) {
+        try {
+            return app.getModule(name) || null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function collectionToArray(collection) {
+        if (!collection) return [];
+        if (typeof collection.toArray === 'function') return collection.toArray();
+        if (typeof collection[Symbol.iterator] === 'function') return Array.from(collection);
+        return [];
+    }
+
+    /**
+     * Collect the character models and collections the client has for the
+     * Awake panel and the controlled character's current room.
+     */
+    function getClientCollections(app) {
+        const collections = [];
+        const charsAwake = getClientModule(app, 'charsAwake');
+        if (charsAwake && typeof charsAwake.getCollection === 'function') {
+            collections.push(charsAwake.getCollection());
+        }
+        const player = getClientModule(app, 'player');
+        const activeChar = player && typeof player.getActiveChar === 'function' ? player.getActiveChar() : null;
+        if (activeChar && activeChar.inRoom && activeChar.inRoom.chars) {
+            collections.push(activeChar.inRoom.chars);
+        }
+        return collections.filter(Boolean);
+    }
+
+    function onClientModelChange() {
+        scheduleApply();
+    }
+
+    /**
+     * Get the listener to pass to client models. In sandboxes that isolate
+     * the userscript (Firefox), page code can only call functions exported
+     * to the page. The same wrapper must be passed to off().
+     */
+    function getClientModelHandler() {
+        if (!clientModelHandler) {
+            clientModelHandler = typeof exportFunction === 'function'
+                ? exportFunction(onClientModelChange, pageWindow)
+                : onClientModelChange;
+        }
+        return clientModelHandler;
+    }
+
+    function subscribeModel(model) {
+        if (subscribedModels.has(model) || typeof model.on !== 'function') return;
+        const handler = getClientModelHandler();
+        model.on('change', handler);
+        model.on('add', handler);
+        model.on('remove', handler);
+        subscribedModels.add(model);
+    }
+
+    function unsubscribeModels(keep) {
+        for (const model of subscribedModels) {
+            if (keep && keep.has(model)) continue;
+            if (typeof model.off !== 'function') {
+                subscribedModels.delete(model);
+                continue;
+            }
+            const handler = getClientModelHandler();
+            model.off('change', handler);
+            model.off('add', handler);
+            model.off('remove', handler);
+            subscribedModels.delete(model);
+        }
+    }
+
+    /**
+     * Re-read the client's character models and update our subscriptions.
+     */
+    function refreshClientModels() {
+        const app = CONFIG.useClientModel ? getClientApp() : null;
+        if (!app) {
+            if (clientModels) log('Client models unavailable, using DOM state detection');
+            clientModels = null;
+            unsubscribeModels(null);
+            return;
+        }
+
+        const models = new Map();
+        const keep = new Set();
+        for (const collection of getClientCollections(app)) {
+            keep.add(collection);
+            for (const model of collectionToArray(collection)) {
+                if (!model || typeof model.name !== 'string') continue;
+                const name = [model.name, model.surname].filter(Boolean).join(' ');
+                models.set(normalizeName(name), model);
+                keep.add(model);
+            }
+        }
+        unsubscribeModels(keep);
+        keep.forEach(subscribeModel);
+
+        if (!clientModels) log(`Reading character state from ${models.size} client models`);
+        clientModels = models;
+    }
+
+    /**
+     * Get the client's model of the character shown by an element.
+     */
+    function getCharModel(charEl) {
+        if (!clientModels) return null;
+        const name = getCharName(charEl);
+        return name ? clientModels.get(normalizeName(name)) || null : null;
+    }
+
+    /**
+     * Map a character model's state and idle values to a tier, the same way
+     * the client picks its common--level-* class. Returns null if the model
+     * lacks the fields.
+     */
+    function getModelTier(model) {
+        let level;
+        if (model.state === 'asleep') {
+            level = 'asleep';
+        } else if (typeof model.idle === 'number') {
+            level = IDLE_LEVELS[Math.min(model.idle, IDLE_LEVELS.length - 1)] || 'active';
+        } else {
+            return null;
+        }
+        return CONFIG.tiers.find(tier => tier.level === level) || null;
+    }
+
+    /**
+     * Load the per-section open/closed state. Tiers without a stored value
+     * fall back to the legacy single "sleepers open" setting. Rule sections
+     * are stored alongside, keyed "rule-<id>".
+     */
+    function loadTiersOpen() {
+        const open = {};
+        const legacyOpen = GM_getValue(CONFIG.sleepersOpenKey, false);
+        let stored = {};
+        try {
+            stored = JSON.parse(GM_getValue(CONFIG.tiersOpenKey, '{}')) || {};
+        } catch (_) { /* ignore bad stored data */ }
+        for (const [id, value] of Object.entries(stored)) {
+            if (typeof value === 'boolean') open[id] = value;
+        }
+        for (const tier of CONFIG.tiers) {
+            open[tier.id] = typeof stored[tier.id] === 'boolean' ? stored[tier.id] : legacyOpen;
+        }
+        return open;
+    }
+
+    // =========================================================================
+    // Scoped state
+    //
+    // Toggle states are resolved hierarchically, most specific first:
+    //   controlled character → room → host (realm) → global
+    // Global values live in their original GM keys. The other scopes are
+    // stored together under CONFIG.scopedStateKey as
+    //   { [scopeId]: { label, values: { [key]: value } } }
+    // where scopeId is e.g. "host:wolfery.com" or "room:wolfery.com:<id>".
+    // =========================================================================
+
+    const SCOPE_LEVELS = [
+        { id: 'global', label: 'Everywhere' },
+        { id: 'host', label: 'This realm' },
+        { id: 'room', label: 'This room' },
+        { id: 'char', label: 'This character' },
+    ];
+
+    // How sleepers are shown while the room toggle is on. The room list and
+    // the exit thumbnails follow the same mode.
+    const DISPLAY_MODES = [
+        { id: 'split', label: 'Sections', description: 'move them into collapsible sections' },
+        { id: 'dim', label: 'Dim', description: 'dim them in place' },
+        { id: 'hide', label: 'Hide', description: 'hide them, with a count' },
+        { id: 'compact', label: 'Compact', description: 'show them as a strip of avatars' },
+    ];
+
+    const SCOPED_KEYS = [
+        {
+            key: 'split', label: 'Room panel split',
+            load: () => GM_getValue(CONFIG.storageKey, false),
+            save: value => GM_setValue(CONFIG.storageKey, value),
+        },
+        {
+            key: 'displayMode', label: 'Display mode',
+            load: () => GM_getValue(CONFIG.displayModeKey, 'split'),
+            save: value => GM_setValue(CONFIG.displayModeKey, value),
+        },
+        {
+            key: 'awakeSplit', label: 'Awake panel grouping',
+            load: () => GM_getValue(CONFIG.awakeStorageKey, false),
+            save: value => GM_setValue(CONFIG.awakeStorageKey, value),
+        },
+        {
+            key: 'awakeSleepersOpen', label: 'Awake panel sleepers open',
+            load: () => GM_getValue(CONFIG.awakeSleepersOpenKey, false),
+            save: value => GM_setValue(CONFIG.awakeSleepersOpenKey, value),
+        },
+        {
+            key: 'sectionSort', label: 'Section sort',
+            load: () => GM_getValue(CONFIG.sectionSortKey, 'client'),
+            save: value => GM_setValue(CONFIG.sectionSortKey, value),
+        },
+        ...CONFIG.tiers.map(tier => ({
+            key: 'open.' + tier.id, label: `${tier.label} section open`,
+            load: () => loadTiersOpen()[tier.id],
+            save: (value) => {
+                const open = loadTiersOpen();
+                open[tier.id] = value;
+                GM_setValue(CONFIG.tiersOpenKey, JSON.stringify(open));
+            },
+        })),
+    ];
+
+    /**
+     * Get the descriptor of a scoped key. Rule sections get theirs on the
+     * fly ('open.rule-<id>'), open unless closed before.
+     */
+    function getScopedKey(key) {
+        const desc = SCOPED_KEYS.find(d => d.key === key);
+        if (desc || !key.startsWith('open.')) return desc;
+        const id = key.slice('open.'.length);
+        const rule = CONFIG.rules.find(r => 'rule-' + r.id === id);
+        return {
+            key, label: rule ? `${rule.label} open` : 'Section open',
+            load: () => loadTiersOpen()[id] ?? true,
+            save: (value) => {
+                const open = loadTiersOpen();
+                open[id] = value;
+                GM_setValue(CONFIG.tiersOpenKey, JSON.stringify(open));
+            },
+        };
+    }
+
+    function loadScopedState() {
+        try {
+            const stored = JSON.parse(GM_getValue(CONFIG.scopedStateKey, '{}'));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    function saveScopedState() {
+        GM_setValue(CONFIG.scopedStateKey, JSON.stringify(scopedState));
+    }
+
+    /**
+     * Get the scopes that apply right now, keyed by level. Room and character
+     * come from the client's models when available; the room falls back to
+     * the name shown in the room panel. Levels that can't be determined are
+     * left out.
+     */
+    function getScopeContext() {
+        const host = location.hostname;
+        const context = {
+            global: { id: 'global', label: 'Everywhere' },
+            host: { id: 'host:' + host, label: host },
+        };
+
+        const app = CONFIG.useClientModel ? getClientApp() : null;
+        const player = app && getClientModule(app, 'player');
+        const activeChar = player && typeof player.getActiveChar === 'function' ? player.getActiveChar() : null;
+        if (activeChar && activeChar.id) {
+            const name = [activeChar.name, activeChar.surname].filter(Boolean).join(' ');
+            context.char = { id: `char:${host}:${activeChar.id}`, label: name || activeChar.id };
+        }
+
+        const room = activeChar && activeChar.inRoom;
+        if (room && room.id) {
+            context.room = { id: `room:${host}:${room.id}`, label: room.name || room.id };
+        } else {
+            const nameEl = document.querySelector(CONFIG.selectors.roomName);
+            const name = nameEl && nameEl.textContent.trim();
+            if (name) context.room = { id: `room:${host}:name:${normalizeName(name)}`, label: name };
+        }
+        return context;
+    }
+
+    /**
+     * Resolve a scoped key. Returns { value, level }.
+     */
+    function resolveScoped(key, context) {
+        context = context || getScopeContext();
+        for (const level of ['char', 'room', 'host']) {
+            const scope = context[level] && scopedState[context[level].id];
+            if (scope && scope.values && scope.values[key] !== undefined) {
+                return { value: scope.values[key], level };
+            }
+        }
+        return { value: getScopedKey(key).load(), level: 'global' };
+    }
+
+    /**
+     * Save a scoped key. It goes to the CONFIG.toggleScope level, or to the
+     * level it is currently resolved from if that is more specific, so the
+     * change always takes effect. Levels not available right now (e.g. no
+     * controlled character known) fall back to the next more general one.
+     */
+    function setScoped(key, value) {
+        const context = getScopeContext();
+        const levelIds = SCOPE_LEVELS.map(level => level.id);
+        let index = Math.max(levelIds.indexOf(CONFIG.toggleScope), levelIds.indexOf(resolveScoped(key, context).level));
+        while (index > 0 && !context[levelIds[index]]) index--;
+        const level = levelIds[index];
+
+        if (level === 'global') {
+            getScopedKey(key).save(value);
+        } else {
+            const scope = context[level];
+            const entry = scopedState[scope.id] || (scopedState[scope.id] = { label: scope.label, values: {} });
+            entry.label = scope.label;
+            entry.values[key] = value;
+            saveScopedState();
+        }
+        log(`${key} = ${value} (${level})`);
+        if (refreshScopedState()) {
+            // The toggle tooltips name the scope; have applyFilter() rebuild them
+            document.querySelectorAll('.msf-toggle-container').forEach(el => el.remove());
+        }
+    }
+
+    /**
+     * Remove a stored scope, or all stored scopes of a level if `scopeId` is
+     * just the level prefix (e.g. "room:").
+     */
+    function clearScope(scopeId) {
+        for (const id of Object.keys(scopedState)) {
+            if (id === scopeId || (scopeId.endsWith(':') && id.startsWith(scopeId))) {
+                delete scopedState[id];
+            }
+        }
+        saveScopedState();
+    }
+
+    /**
+     * Re-resolve all toggle states for the current scopes. Returns true if
+     * anything shown on the toggles changed, so they need to be rebuilt.
+     */
+    function refreshScopedState() {
+        const context = getScopeContext();
+        const split = resolveScoped('split', context);
+        const mode = resolveScoped('displayMode', context);
+        const awakeSplit = resolveScoped('awakeSplit', context);
+        splitEnabled = split.value;
+        displayMode = DISPLAY_MODES.some(m => m.id === mode.value) ? mode.value : 'split';
+        awakeSplitEnabled = awakeSplit.value;
+        awakeSleepersOpen = resolveScoped('awakeSleepersOpen', context).value;
+        sectionSort = resolveScoped('sectionSort', context).value;
+        for (const tier of CONFIG.tiers) {
+            tiersOpen[tier.id] = resolveScoped('open.' + tier.id, context).value;
         }
 
-        return false;
+        const signature = JSON.stringify([split, mode, awakeSplit]);
+        const changed = signature !== scopeSignature;
+        scopeSignature = signature;
+        return changed;
+    }
+
+    /**
+     * Describe where a resolved value comes from, for tooltips.
+     */
+    function describeScopeLevel(level) {
+        return {
+            global: 'set everywhere',
+            host: 'set for this realm',
+            room: 'set for this room',
+            char: 'set for this character',
+        }[level];
     }
 
     // =========================================================================
@@ -244,371 +1752,3851 @@
     // =========================================================================
 
     /**
-     * Find the "In room" panel section in the room page.
-     * Uses the exact class: .panelsection.pageroom--chars
+     * Find the "In room" panel section in the room page.
+     * Uses CONFIG.selectors.inRoomSection (.panelsection.pageroom--chars)
+     */
+    function findInRoomSection() {
+        const section = document.querySelector(CONFIG.selectors.inRoomSection);
+        if (!section) {
+            log(`Could not find ${CONFIG.selectors.inRoomSection}`);
+            return null;
+        }
+        return { section };
+    }
+
+    /**
+     * Find the exits section.
+     * Uses CONFIG.selectors.exitsSection (.panelsection.pageroom--exits)
+     */
+    function findExitsSection() {
+        const section = document.querySelector(CONFIG.selectors.exitsSection);
+        if (!section) return null;
+        return { section };
+    }
+
+    /**
+     * Get character elements from the "In room" section.
+     *
+     * IMPORTANT: We select ONLY .pageroom-char elements. The old code used
+     * [class*="char--"] which also matched inner elements like
+     * .pageroom-char--cont, .pageroom-char--badge, .pageroom-char--name,
+     * producing duplicate/broken entries when grouped into tier sections.
+     */
+    function getCharElements(section) {
+        if (!section) return [];
+        // .pageroom-char is the top-level wrapper for each character badge row
+        return Array.from(section.querySelectorAll(CONFIG.selectors.roomChar));
+    }
+
+    /**
+     * Get the client's character elements from the Awake panel (left side).
+     */
+    function getAwakeCharElements() {
+        return Array.from(document.querySelectorAll(CONFIG.selectors.awakeChar));
+    }
+
+    /**
+     * Find the closest element containing all of the given elements.
+     * For a single element this is its parent.
+     */
+    function findCommonAncestor(elements) {
+        let ancestor = elements[0].parentElement;
+        while (ancestor && !elements.every(el => ancestor.contains(el))) {
+            ancestor = ancestor.parentElement;
+        }
+        return ancestor;
+    }
+
+    /**
+     * Find the list element the client renders the given characters into.
+     * A lone character may still sit in a per-item wrapper, so step past a
+     * parent that has no other children.
+     */
+    function findCharList(charElements) {
+        let list = findCommonAncestor(charElements);
+        if (list && charElements.length === 1 && list.children.length === 1) {
+            list = list.parentElement;
+        }
+        return list;
+    }
+
+    /**
+     * Get the direct child of `list` that holds the character element.
+     */
+    function getListItem(charEl, list) {
+        let item = charEl;
+        while (item.parentElement && item.parentElement !== list) {
+            item = item.parentElement;
+        }
+        return item;
+    }
+
+    /**
+     * Undo the grouping done by groupChars() and hideChars() for one panel,
+     * except for the elements in `keep`, which the current pass has already
+     * brought up to date.
+     */
+    function resetCharList(panel, keep) {
+        document.querySelectorAll(`[data-msf-panel="${panel}"]`).forEach((el) => {
+            if (keep && keep.has(el)) return;
+            if (el.matches('.msf-tier-header, .msf-no-awake-placeholder, .msf-hidden-count, .msf-compact-label, .msf-duration')) {
+                el.remove();
+                return;
+            }
+            if (el.classList.contains('msf-titled')) el.removeAttribute('title');
+            el.classList.remove('msf-split-list', 'msf-compact-list', 'msf-hidden-char', 'msf-collapsed-char',
+                'msf-dimmed-char', 'msf-compact-char', 'msf-titled');
+            el.style.removeProperty('order');
+            delete el.dataset.msfPanel;
+            delete el.dataset.msfSection;
+        });
+    }
+
+    /**
+     * Bring a list item to the given state, touching the DOM only where it
+     * differs. A pass that changes nothing then causes no mutations, no
+     * reflow and no flicker.
+     *   order     - CSS order, or undefined for the client's own order
+     *   section   - id of the section header the item is grouped under
+     *   collapsed - hidden by a collapsed section
+     *   hidden    - hidden by an override or the display mode
+     *   dimmed    - dimmed by the display mode
+     *   compact   - shown as an avatar only by the display mode
+     */
+    function setItemState(item, panel, keep, { order, section, collapsed = false, hidden = false, dimmed = false, compact = false }) {
+        keep.add(item);
+        if (item.dataset.msfPanel !== panel) item.dataset.msfPanel = panel;
+        if (section === undefined) {
+            if ('msfSection' in item.dataset) delete item.dataset.msfSection;
+        } else if (item.dataset.msfSection !== section) {
+            item.dataset.msfSection = section;
+        }
+        const cssOrder = order === undefined ? '' : String(order);
+        if (item.style.order !== cssOrder) item.style.order = cssOrder;
+        item.classList.toggle('msf-collapsed-char', collapsed);
+        item.classList.toggle('msf-hidden-char', hidden);
+        item.classList.toggle('msf-dimmed-char', dimmed);
+        item.classList.toggle('msf-compact-char', compact);
+        if (!compact && item.hasAttribute('title') && item.classList.contains('msf-titled')) {
+            item.removeAttribute('title');
+        }
+        item.classList.toggle('msf-titled', compact);
+    }
+
+    /**
+     * Mark a list as grouped by `panel`.
+     */
+    function setListState(list, panel, keep, { compact = false } = {}) {
+        keep.add(list);
+        list.classList.toggle('msf-split-list', true);
+        list.classList.toggle('msf-compact-list', compact);
+        if (list.dataset.msfPanel !== panel) list.dataset.msfPanel = panel;
+    }
+
+    /**
+     * Find one of our injected elements among the list's children.
+     */
+    function findInjected(list, matches) {
+        return Array.from(list.children).find(matches) || null;
+    }
+
+    function setText(el, text) {
+        if (el.textContent !== text) el.textContent = text;
+    }
+
+    /**
+     * Get character elements from exit rooms (transparent exits).
+     *
+     * NOTE: Exit char elements (.pageroom-exitchars--char) are tiny avatar
+     * thumbnails only — they do NOT carry common--level-* classes, so
+     * isSleeperChar() cannot detect their state from the DOM alone.
+     * To filter them, we cross-reference avatar URLs with identified sleepers.
+     */
+    function getExitCharElements(parentElement) {
+        return Array.from(parentElement.querySelectorAll(CONFIG.selectors.exitChar));
+    }
+
+    /**
+     * Get the exit character containers (.pageroom-exitchars) of the exits
+     * section, one per exit showing characters.
+     */
+    function getExitCharContainers() {
+        const exits = findExitsSection();
+        return exits ? Array.from(exits.section.querySelectorAll(CONFIG.selectors.exitChars)) : [];
+    }
+
+    // =========================================================================
+    // Character identity
+    //
+    // Exit thumbnails carry no name or level class, so to know who they are
+    // we correlate them with characters seen in the room and Awake panels.
+    // The registry records every signal we can read off a badge (full name,
+    // avatar id, initials for characters without an avatar). An exit
+    // thumbnail is only tied to a character when one signal points at exactly
+    // one record; anything else is reported as unidentified rather than
+    // guessed, since characters without a custom avatar share the same image.
+    // =========================================================================
+
+    function normalizeName(name) {
+        return name.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Get the avatar id of an avatar image URL: its last path segment,
+     * without the query string used for thumbnail sizing.
+     */
+    function getAvatarId(url) {
+        if (!url) return null;
+        const path = url.split('?')[0].split('#')[0];
+        return path.substring(path.lastIndexOf('/') + 1) || null;
+    }
+
+    /**
+     * Read the avatar signals of an element containing an .avatar: the avatar
+     * id if it has an image, otherwise the initials the client renders.
+     */
+    function getAvatarSignals(el) {
+        const { avatar: avatarSelector, avatarImage } = CONFIG.selectors;
+        const img = el.querySelector(`:is(${avatarSelector}) :is(${avatarImage})`) || el.querySelector(avatarImage);
+        if (img && img.src) {
+            return { avatarId: getAvatarId(img.src), initials: null };
+        }
+        const avatar = el.querySelector(avatarSelector) || el;
+        const initials = avatar.textContent.replace(/\s+/g, '').toUpperCase();
+        return { avatarId: null, initials: initials || null };
+    }
+
+    /**
+     * Get the full name shown on a room or Awake panel character badge.
+     */
+    function getCharName(charEl) {
+        const nameEl = charEl.querySelector(CONFIG.selectors.charName) ||
+            charEl.querySelector(`${CONFIG.selectors.badgeInfo} > :first-child`);
+        if (!nameEl) return null;
+        const parts = Array.from(nameEl.querySelectorAll('span'))
+            .map(span => span.textContent.trim())
+            .filter(Boolean);
+        const name = parts.length ? parts.join(' ') : nameEl.textContent;
+        return name.trim() || null;
+    }
+
+    function getInitials(name) {
+        return name.split(/\s+/).map(part => part.charAt(0)).join('').toUpperCase();
+    }
+
+    /**
+     * Get the registry record for a name, creating it if needed, and mark it
+     * as seen in the current pass.
+     */
+    function getRecord(name) {
+        const key = normalizeName(name);
+        let record = charRegistry.get(key);
+        if (!record) {
+            record = { key, name, avatarId: null, initials: null, tierId: null, panels: new Set(), pass: 0 };
+            charRegistry.set(key, record);
+        }
+        if (record.pass !== registryPass) {
+            record.panels.clear();
+            record.pass = registryPass;
+        }
+        record.name = name;
+        record.initials = getInitials(name);
+        return record;
+    }
+
+    /**
+     * Add or update the registry record for a character badge.
+     */
+    function registerChar(charEl, panel) {
+        const name = getCharName(charEl);
+        if (!name) return;
+        const record = getRecord(name);
+        record.avatarId = getAvatarSignals(charEl).avatarId;
+        record.tierId = getCharTier(charEl).id;
+        record.panels.add(panel);
+        recordTier(name, record.tierId);
+    }
+
+    /**
+     * Add or update the registry record for a client character model, so
+     * characters the client knows about can be identified even when no
+     * panel shows them.
+     */
+    function registerModel(model) {
+        const tier = getModelTier(model);
+        const name = [model.name, model.surname].filter(Boolean).join(' ');
+        if (!tier || !name) return;
+        const record = getRecord(name);
+        if (typeof model.avatar === 'string' && model.avatar) {
+            record.avatarId = model.avatar;
+        }
+        record.tierId = tier.id;
+        record.panels.add('model');
+        recordTier(name, record.tierId);
+    }
+
+    /**
+     * Add a record to the list kept under a key in one of the registry
+     * indexes.
+     */
+    function indexRecord(index, key, record) {
+        const records = index.get(key);
+        if (records) records.push(record);
+        else index.set(key, [record]);
+    }
+
+    /**
+     * Refresh the registry from the client models and the room and Awake
+     * panels. Records of characters no longer visible are dropped, so the
+     * registry only ever holds the characters the page currently shows.
+     */
+    function updateRegistry() {
+        registryPass++;
+        if (clientModels) {
+            for (const model of clientModels.values()) registerModel(model);
+        }
+        const inRoom = findInRoomSection();
+        if (inRoom) {
+            for (const el of getCharElements(inRoom.section)) registerChar(el, 'room');
+        }
+        for (const el of getAwakeCharElements()) registerChar(el, 'awake');
+
+        registryByAvatar = new Map();
+        registryByInitials = new Map();
+        registryByFirstName = new Map();
+        for (const record of charRegistry.values()) {
+            if (!isRecordCurrent(record)) {
+                charRegistry.delete(record.key);
+                continue;
+            }
+            if (record.avatarId) indexRecord(registryByAvatar, record.avatarId, record);
+            else indexRecord(registryByInitials, record.initials, record);
+            indexRecord(registryByFirstName, record.key.split(' ')[0], record);
+        }
+        registryVisible = new Set(charRegistry.keys());
+    }
+
+    /**
+     * Check whether a registry record was seen in the latest updateRegistry()
+     * pass, i.e. whether its tier is current.
+     */
+    function isRecordCurrent(record) {
+        return record.pass === registryPass;
+    }
+
+    /**
+     * Read the name hints an exit thumbnail may carry in tooltips or alt text.
+     */
+    function getExitCharNames(exitChar) {
+        const names = [];
+        const candidates = [exitChar, ...exitChar.querySelectorAll('[title], [aria-label], [data-tooltip], img[alt]')];
+        for (const el of candidates) {
+            for (const attr of ['title', 'aria-label', 'data-tooltip', 'alt']) {
+                const value = el.getAttribute(attr);
+                if (value && value.trim()) names.push(value.trim());
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Find the registry records matching a name hint. A full name matches
+     * exactly; a single word matches records with that first name.
+     */
+    function findRecordsByName(name) {
+        const key = normalizeName(name);
+        const exact = charRegistry.get(key);
+        if (exact) return [exact];
+        if (key.includes(' ')) return [];
+        return registryByFirstName.get(key) || [];
+    }
+
+    /**
+     * Identify the character behind an exit thumbnail.
+     *
+     * Signals are tried from most to least specific: name hints, then avatar
+     * id, then initials. Returns { status, record, via } where status is
+     * "matched" (exactly one record), "ambiguous" (several records share the
+     * signal) or "unknown" (no record has it).
+     */
+    function identifyExitChar(exitChar) {
+        const { avatarId, initials } = getAvatarSignals(exitChar);
+        const attempts = [
+            ...getExitCharNames(exitChar).map(name => ['name', findRecordsByName(name)]),
+            ['avatar', (avatarId && registryByAvatar.get(avatarId)) || []],
+            ['initials', (initials && registryByInitials.get(initials)) || []],
+        ];
+
+        let ambiguous = false;
+        for (const [via, matches] of attempts) {
+            if (matches.length === 1) {
+                return { status: 'matched', record: matches[0], via };
+            }
+            if (matches.length > 1) ambiguous = true;
+        }
+        return { status: ambiguous ? 'ambiguous' : 'unknown', record: null, via: null };
+    }
+
+    // =========================================================================
+    // Character overrides
+    //
+    // Per-character overrides of the tier filtering, keyed by normalized full
+    // name. Stored as { [key]: { mode, name } } so the settings dialog can
+    // show the name as the client displays it.
+    // =========================================================================
+    const OVERRIDE_MODES = {
+        awake: { label: 'Always show as awake', icon: '📌' },
+        sleeper: { label: 'Always treat as sleeper', icon: '☾' },
+        hide: { label: 'Always hide', icon: '⊘' },
+    };
+
+    function loadCharOverrides() {
+        try {
+            const stored = JSON.parse(GM_getValue(CONFIG.overridesKey, '{}'));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    /**
+     * Set or clear (mode null) the override for a character.
+     */
+    function setCharOverride(name, mode) {
+        const key = normalizeName(name);
+        if (mode && OVERRIDE_MODES[mode]) {
+            charOverrides[key] = { mode, name };
+        } else {
+            delete charOverrides[key];
+        }
+        GM_setValue(CONFIG.overridesKey, JSON.stringify(charOverrides));
+    }
+
+    /**
+     * Get the override mode for a character name, or null.
+     */
+    function getCharOverride(name) {
+        if (!name) return null;
+        const override = charOverrides[normalizeName(name)];
+        return override ? override.mode : null;
+    }
+
+    /**
+     * Get the tier a character is filtered into after applying its override,
+     * or null if the character should be hidden.
+     *   awake   - the first tier that isn't split out of the main list
+     *   sleeper - its own tier if that is a sleeper tier, else the last one
+     */
+    function applyOverride(tier, mode) {
+        switch (mode) {
+            case 'hide':
+                return null;
+            case 'awake':
+                return CONFIG.tiers.find(t => !t.split && !t.sleeper) || CONFIG.tiers[0];
+            case 'sleeper':
+                return tier.sleeper ? tier : CONFIG.tiers.filter(t => t.sleeper).pop() || tier;
+            default:
+                return tier;
+        }
+    }
+
+    /**
+     * Get the tier of a character element with its override applied, or
+     * null if it should be hidden. Characters without an override that are
+     * still within the grace period are kept in the active tier.
+     */
+    function getFilterTier(charEl) {
+        const name = getCharName(charEl);
+        const mode = getCharOverride(name);
+        let tier = getCharTier(charEl);
+        if (!mode && tier !== CONFIG.tiers[0] && isInGracePeriod(name)) {
+            tier = CONFIG.tiers[0];
+        }
+        return applyOverride(tier, mode);
+    }
+
+    // =========================================================================
+    // Section rules
+    //
+    // User rules route characters into their own collapsible sections of the
+    // "In room" list, e.g. "Staff" by a list of names or "Looking for RP" by
+    // a tag in the badge text. Rules are tried in order and the first match
+    // wins; characters no rule matches fall through to the built-in default
+    // rule, the presence tiers (sleepers and all). Characters with an
+    // override skip the rules, since the override is the more specific
+    // choice.
+    // =========================================================================
+
+    /**
+     * Get the enabled rules with a `test(charEl)` function each.
+     */
+    function compileRules() {
+        return CONFIG.rules
+            .filter(rule => rule.enabled)
+            .map(rule => ({ ...rule, test: createRuleTest(rule) }));
+    }
+
+    function splitRuleValue(value) {
+        return value.split(',').map(part => normalizeName(part)).filter(Boolean);
+    }
+
+    function createRuleTest(rule) {
+        switch (rule.match) {
+            case 'name': {
+                // Full names, or first names alone
+                const names = new Set(splitRuleValue(rule.value));
+                return (charEl) => {
+                    const name = getCharName(charEl);
+                    if (!name) return false;
+                    const key = normalizeName(name);
+                    return names.has(key) || names.has(key.split(' ')[0]);
+                };
+            }
+            case 'badge': {
+                const pattern = parseRulePattern(rule.value);
+                return (charEl) => {
+                    const text = charEl.querySelector(CONFIG.selectors.badgeText);
+                    return !!text && pattern.test(text.textContent);
+                };
+            }
+            case 'level': {
+                // Tier ids (away) or client level names (inactive)
+                const levels = new Set(splitRuleValue(rule.value));
+                return (charEl) => {
+                    const tier = getCharTier(charEl);
+                    return levels.has(tier.id) || levels.has(tier.level);
+                };
+            }
+            case 'state': {
+                const states = new Set(splitRuleValue(rule.value));
+                return charEl => states.has(getCharState(charEl));
+            }
+            default:
+                return () => false;
+        }
+    }
+
+    /**
+     * Get the client's state of a character ("awake", "asleep", ...) from
+     * its model, or from the DOM level classes without one.
+     */
+    function getCharState(charEl) {
+        const model = getCharModel(charEl);
+        if (model && typeof model.state === 'string') return model.state.toLowerCase();
+        return getDomCharTier(charEl).level === 'asleep' ? 'asleep' : 'awake';
+    }
+
+    /**
+     * Get the first rule matching a character, or null to leave it to the
+     * default rule.
+     */
+    function getCharRule(rules, charEl) {
+        if (rules.length === 0 || getCharOverride(getCharName(charEl))) return null;
+        return rules.find(rule => rule.test(charEl)) || null;
+    }
+
+    // =========================================================================
+    // Presence timing
+    //
+    // For every character we track when it entered its current tier and when
+    // it last left the first (active) tier, keyed by normalized name:
+    //   { tierId, since, inactiveSince, seen }
+    // `since`/`inactiveSince` are null when the character was already in that
+    // state the first time we saw it, since we can't know for how long.
+    // Transitions are recorded by the observer as they happen, and by each
+    // filter pass for anything the observer didn't see.
+    // =========================================================================
+
+    function loadTierTimes() {
+        const times = new Map();
+        try {
+            const stored = JSON.parse(GM_getValue(CONFIG.tierTimesKey, '{}')) || {};
+            const cutoff = Date.now() - CONFIG.tierTimesRetention;
+            for (const [key, entry] of Object.entries(stored)) {
+                if (entry && entry.seen > cutoff) times.set(key, entry);
+            }
+        } catch (_) { /* ignore bad stored data */ }
+        return times;
+    }
+
+    /**
+     * Persist the tier times, once per filter pass. Unless a tier changed
+     * (tierTimesDirty), writes at most once a minute, which is enough to
+     * keep `seen` fresh.
+     */
+    function saveTierTimes() {
+        const now = Date.now();
+        if (!tierTimesDirty && now - tierTimesSaved < 60000) return;
+        tierTimesDirty = false;
+        tierTimesSaved = now;
+        GM_setValue(CONFIG.tierTimesKey, JSON.stringify(Object.fromEntries(tierTimes)));
+    }
+
+    /**
+     * Record the tier a character is currently in.
+     */
+    function recordTier(name, tierId) {
+        const key = normalizeName(name);
+        const now = Date.now();
+        const entry = tierTimes.get(key);
+        const activeId = CONFIG.tiers[0].id;
+        if (!entry) {
+            tierTimes.set(key, { tierId, since: null, inactiveSince: null, seen: now });
+            tierTimesDirty = true;
+            return;
+        }
+        const prevSeen = entry.seen;
+        entry.seen = now;
+        if (entry.tierId === tierId) return;
+        onTierTransition(name, entry.tierId, tierId, now - prevSeen, registryVisible.has(key));
+        if (tierId === activeId) {
+            entry.inactiveSince = null;
+        } else if (entry.tierId === activeId) {
+            entry.inactiveSince = now;
+        }
+        log(`${name}: ${entry.tierId} → ${tierId}`);
+        entry.tierId = tierId;
+        entry.since = now;
+        tierTimesDirty = true;
+    }
+
+    /**
+     * Record the tier of a character element, e.g. after its level class
+     * changed.
+     */
+    function recordCharElementTier(charEl) {
+        const name = getCharName(charEl);
+        if (name) recordTier(name, getCharTier(charEl).id);
+    }
+
+    /**
+     * Get how long (ms) a character has been in its current tier, or null
+     * if unknown.
+     */
+    function getTimeInTier(name) {
+        const entry = tierTimes.get(normalizeName(name));
+        return entry && entry.since ? Date.now() - entry.since : null;
+    }
+
+    /**
+     * Check whether a character left the active tier less than
+     * CONFIG.gracePeriod minutes ago, in which case it stays in the main list.
+     * Also tracks when the earliest grace period runs out.
+     */
+    function isInGracePeriod(name) {
+        const grace = CONFIG.gracePeriod * 60000;
+        if (!grace || !name) return false;
+        const entry = tierTimes.get(normalizeName(name));
+        if (!entry || !entry.inactiveSince) return false;
+        const expiry = entry.inactiveSince + grace;
+        if (expiry <= Date.now()) return false;
+        nextGraceExpiry = Math.min(nextGraceExpiry, expiry);
+        return true;
+    }
+
+    /**
+     * Format a duration as e.g. "14m", "2h 14m" or "3d 2h".
+     */
+    function formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return '<1m';
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ${minutes % 60}m`;
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    }
+
+    /**
+     * Add a "asleep 2h 14m" style label to a character badge, if we know how
+     * long it has been in its tier.
+     */
+    function addDurationLabel(charEl, panel, tier, keep) {
+        const name = getCharName(charEl);
+        const info = charEl.querySelector(CONFIG.selectors.badgeInfo);
+        if (!CONFIG.showDurations || !name || !info || getTimeInTier(name) === null) return;
+        let label = Array.from(info.children).find(el => el.classList.contains('msf-duration'));
+        if (!label) {
+            label = document.createElement('span');
+            label.className = 'msf-duration';
+            info.appendChild(label);
+        }
+        keep.add(label);
+        const data = { msfPanel: panel, msfName: name, msfTier: tier.label.toLowerCase() };
+        for (const [key, value] of Object.entries(data)) {
+            if (label.dataset[key] !== value) label.dataset[key] = value;
+        }
+        updateDurationLabel(label);
+    }
+
+    function updateDurationLabel(label) {
+        const ms = getTimeInTier(label.dataset.msfName);
+        setText(label, ms === null ? '' : `${label.dataset.msfTier} ${formatDuration(ms)}`);
+    }
+
+    /**
+     * Refresh the text of all duration labels and the watchlist, without
+     * re-filtering.
+     */
+    function updateDurationLabels() {
+        suppressObserver = true;
+        document.querySelectorAll('.msf-duration').forEach(updateDurationLabel);
+        updateWatchlist();
+        resumeObserver();
+    }
+
+    // =========================================================================
+    // Notifications
+    //
+    // Opt-in per character: a watched character can notify when it wakes up
+    // (moves from a sleeper tier to a non-sleeper one) and when it arrives in
+    // the current room. Events are batched and sent at most once every
+    // CONFIG.notifyMinInterval seconds, so a room-wide reconnect becomes one
+    // notification instead of dozens.
+    // =========================================================================
+
+    // Wait this long (ms) for more events before sending a notification
+    const NOTIFY_BATCH_DELAY = 1500;
+    // Transitions of characters that were out of view, and whose previous
+    // observation is older than this (ms), are not reported; we can't tell
+    // when they happened.
+    const NOTIFY_MAX_STALENESS = 5 * 60 * 1000;
+
+    const notifyQueue = [];
+    let notifyTimer = null;
+    let lastNotifyAt = 0;
+    let audioContext = null;
+    let lastRoster = { room: null, names: new Set() };
+
+    function loadCharWatch() {
+        try {
+            const stored = JSON.parse(GM_getValue(CONFIG.watchKey, '{}'));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    /**
+     * Get a character's watch choices ({ wake, arrive, list }), or null.
+     */
+    function getCharWatch(name) {
+        return name ? charWatch[normalizeName(name)] || null : null;
+    }
+
+    /**
+     * Turn a watch kind ("wake", "arrive" or "list") on or off for a
+     * character.
+     */
+    function setCharWatch(name, kind, on) {
+        const key = normalizeName(name);
+        const watch = Object.assign({ name, wake: false, arrive: false, list: false }, charWatch[key], { [kind]: on });
+        if (watch.wake || watch.arrive || watch.list) {
+            charWatch[key] = watch;
+        } else {
+            delete charWatch[key];
+        }
+        GM_setValue(CONFIG.watchKey, JSON.stringify(charWatch));
+    }
+
+    /**
+     * Ask for desktop notification permission. Must be called from a user
+     * gesture to be allowed by the browser.
+     */
+    function requestNotificationPermission() {
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+
+    /**
+     * Called by recordTier() for every tier change. `gap` is the time since
+     * the previous observation of the character, `wasVisible` whether the
+     * previous filter pass saw it (so the change is seen as it happens, even
+     * after a long quiet spell without passes).
+     */
+    function onTierTransition(name, fromTierId, toTierId, gap, wasVisible) {
+        const from = CONFIG.tiers.find(tier => tier.id === fromTierId);
+        const to = CONFIG.tiers.find(tier => tier.id === toTierId);
+        if (from && to && from.sleeper && !to.sleeper && (wasVisible || gap < NOTIFY_MAX_STALENESS)) {
+            queueNotification(name, 'wake');
+            emitApiEvent('characterWoke', { name, from: from.id, to: to.id });
+        }
+    }
+
+    /**
+     * Compare the room's characters against the previous pass and notify
+     * about watched characters that arrived. Entering a different room
+     * resets the roster without notifying.
+     */
+    function detectArrivals() {
+        const inRoom = findInRoomSection();
+        const nameEl = document.querySelector(CONFIG.selectors.roomName);
+        const room = inRoom && nameEl ? nameEl.textContent.trim() : null;
+        const names = new Set();
+        if (inRoom) {
+            for (const el of getCharElements(inRoom.section)) {
+                const name = getCharName(el);
+                if (name) names.add(name);
+            }
+        }
+        if (room && room === lastRoster.room) {
+            for (const name of names) {
+                if (!lastRoster.names.has(name)) queueNotification(name, 'arrive');
+            }
+        }
+        lastRoster = { room, names };
+    }
+
+    function queueNotification(name, kind) {
+        const watch = getCharWatch(name);
+        if (!watch || !watch[kind]) return;
+        if (notifyQueue.some(event => event.name === name && event.kind === kind)) return;
+        log(`Notify: ${name} ${kind}`);
+        notifyQueue.push({ name, kind });
+        if (CONFIG.notifyHighlight) highlightChar(name);
+        if (!notifyTimer) {
+            const wait = Math.max(NOTIFY_BATCH_DELAY, lastNotifyAt + CONFIG.notifyMinInterval * 1000 - Date.now());
+            notifyTimer = setTimeout(flushNotifications, wait);
+        }
+    }
+
+    /**
+     * Describe a batch of events, e.g. "Alice and Bob woke up."
+     */
+    function describeNotifications(events) {
+        const lines = [];
+        for (const [kind, verb] of [['wake', 'woke up'], ['arrive', 'arrived']]) {
+            const names = events.filter(event => event.kind === kind).map(event => event.name);
+            if (names.length === 0) continue;
+            let who;
+            if (names.length === 1) {
+                who = names[0];
+            } else if (names.length <= 3) {
+                who = names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+            } else {
+                who = `${names.slice(0, 2).join(', ')} and ${names.length - 2} others`;
+            }
+            lines.push(`${who} ${verb}.`);
+        }
+        return lines.join('\n');
+    }
+
+    function flushNotifications() {
+        notifyTimer = null;
+        const events = notifyQueue.splice(0);
+        if (events.length === 0) return;
+        lastNotifyAt = Date.now();
+        const body = describeNotifications(events);
+
+        if (CONFIG.notifyDesktop && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            try {
+                new Notification(location.hostname, { body, tag: 'msf-watch' });
+            } catch (e) {
+                log('Notification failed:', e.message);
+            }
+        }
+        if (CONFIG.notifySound) playNotificationSound();
+    }
+
+    /**
+     * Play a short beep. Generated with Web Audio so nothing is downloaded.
+     */
+    function playNotificationSound() {
+        try {
+            audioContext = audioContext || new AudioContext();
+            const osc = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            osc.frequency.value = 880;
+            gain.gain.setValueAtTime(0.15, audioContext.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.3);
+            osc.connect(gain).connect(audioContext.destination);
+            osc.start();
+            osc.stop(audioContext.currentTime + 0.3);
+        } catch (e) {
+            log('Sound failed:', e.message);
+        }
+    }
+
+    /**
+     * Briefly highlight the badges showing a character.
+     */
+    function highlightChar(name) {
+        const key = normalizeName(name);
+        const badges = Array.from(document.querySelectorAll(`${CONFIG.selectors.roomChar}, ${CONFIG.selectors.awakeChar}`))
+            .filter(el => normalizeName(getCharName(el) || '') === key)
+            .map(el => el.querySelector(CONFIG.selectors.badge) || el);
+        if (badges.length === 0) return;
+        suppressObserver = true;
+        badges.forEach(badge => badge.classList.add('msf-highlight'));
+        resumeObserver();
+        setTimeout(() => {
+            suppressObserver = true;
+            badges.forEach(badge => badge.classList.remove('msf-highlight'));
+            resumeObserver();
+        }, 3000);
+    }
+
+    // =========================================================================
+    // Watchlist
+    //
+    // A compact list of the characters picked with "Show in watchlist" in the
+    // override menu: their state from the character registry (the room list,
+    // the Awake panel and the client models) and, when one of them can be
+    // seen, the room or exit they are in. It sits at the top of the Awake
+    // panel, or of the "In room" section without one, and is refreshed by
+    // every filter pass.
+    // =========================================================================
+
+    let watchlistOpen = GM_getValue(CONFIG.watchlistOpenKey, true);
+    let watchlistSignature = null;
+
+    /**
+     * Get the watchlist entries as { name, state, tierIndex, location },
+     * awake characters first.
+     */
+    function getWatchlistEntries() {
+        const listed = Object.values(charWatch).filter(watch => watch.list);
+        if (listed.length === 0) return [];
+
+        // Where listed characters can be seen
+        const locations = new Map();
+        const inRoom = findInRoomSection();
+        const room = getScopeContext().room;
+        if (inRoom) {
+            for (const el of getCharElements(inRoom.section)) {
+                const name = getCharName(el);
+                if (name) locations.set(normalizeName(name), room ? room.label : 'This room');
+            }
+        }
+        const cachedAvatars = getCachedAvatars();
+        const cached = new Map();
+        for (const container of getExitCharContainers()) {
+            const exitEl = container.closest(CONFIG.selectors.exit);
+            const nameEl = exitEl && exitEl.querySelector(CONFIG.selectors.exitName);
+            for (const exitChar of getExitCharElements(container)) {
+                const entry = classifyExitChar(exitChar, cachedAvatars);
+                if (!entry.name || entry.status === 'ambiguous') continue;
+                const key = normalizeName(entry.name);
+                if (!locations.has(key)) locations.set(key, `Exit: ${nameEl ? nameEl.textContent.trim() : 'unnamed'}`);
+                if (entry.cached) cached.set(key, entry.cached);
+            }
+        }
+
+        return listed.map((watch) => {
+            const key = normalizeName(watch.name);
+            const record = charRegistry.get(key);
+            const tier = record && CONFIG.tiers.find(t => t.id === record.tierId);
+            let state = 'Not seen';
+            let tierIndex = CONFIG.tiers.length;
+            if (tier) {
+                state = tier.label;
+                tierIndex = CONFIG.tiers.indexOf(tier);
+                const ms = tier.sleeper ? getTimeInTier(watch.name) : null;
+                if (ms !== null) state += ` ${formatDuration(ms)}`;
+            } else if (cached.has(key)) {
+                state = cached.get(key).state === 'asleep' ? 'Asleep' : 'Awake';
+            }
+            return { name: watch.name, state, tierIndex, sleeper: !tier || tier.sleeper, location: locations.get(key) || '' };
+        }).sort((a, b) => a.tierIndex - b.tierIndex || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find where the watchlist goes: the top of the Awake panel content, or
+     * of the "In room" section.
+     */
+    function findWatchlistHost() {
+        const awake = document.querySelector(CONFIG.selectors.awakePanel);
+        const section = awake || (findInRoomSection() || {}).section;
+        if (!section) return null;
+        return section.querySelector(CONFIG.selectors.panelContent) || section;
+    }
+
+    /**
+     * Add, update or remove the watchlist. Only re-rendered when its
+     * entries changed.
+     */
+    function updateWatchlist() {
+        const entries = CONFIG.watchlist ? getWatchlistEntries() : [];
+        const host = entries.length > 0 ? findWatchlistHost() : null;
+        let widget = document.getElementById('msf-watchlist');
+        if (!host) {
+            if (widget) widget.remove();
+            watchlistSignature = null;
+            return;
+        }
+        if (!widget) {
+            widget = document.createElement('div');
+            widget.id = 'msf-watchlist';
+            widget.className = 'msf-watchlist';
+            watchlistSignature = null;
+        }
+        if (widget.parentElement !== host || host.firstChild !== widget) {
+            host.insertBefore(widget, host.firstChild);
+        }
+
+        const signature = JSON.stringify([watchlistOpen, entries]);
+        if (signature === watchlistSignature) return;
+        watchlistSignature = signature;
+        renderWatchlist(widget, entries);
+    }
+
+    function renderWatchlist(widget, entries) {
+        widget.textContent = '';
+        const awake = entries.filter(entry => entry.tierIndex < CONFIG.tiers.length && !entry.sleeper).length;
+
+        const header = document.createElement('div');
+        header.className = 'msf-watchlist-header';
+        header.textContent = `${watchlistOpen ? '▼' : '►'} Watchlist`;
+        const count = document.createElement('span');
+        count.className = 'msf-tier-count';
+        count.textContent = ` ${awake} of ${entries.length} awake`;
+        header.appendChild(count);
+        header.title = 'Characters picked with "Show in watchlist" in their ⋯ menu';
+        makeKeyboardActivatable(header, 'button');
+        header.setAttribute('aria-expanded', String(watchlistOpen));
+        header.addEventListener('click', () => {
+            watchlistOpen = !watchlistOpen;
+            GM_setValue(CONFIG.watchlistOpenKey, watchlistOpen);
+            suppressObserver = true;
+            updateWatchlist();
+            resumeObserver();
+            const next = widget.querySelector('.msf-watchlist-header');
+            if (next) next.focus();
+        });
+        widget.appendChild(header);
+        if (!watchlistOpen) return;
+
+        const list = document.createElement('ul');
+        list.className = 'msf-watchlist-list';
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.className = 'msf-watchlist-row';
+            item.classList.toggle('msf-watchlist-sleeper', entry.sleeper);
+            const name = document.createElement('span');
+            name.className = 'msf-watchlist-name';
+            name.textContent = entry.name;
+            const state = document.createElement('span');
+            state.className = 'msf-watchlist-state';
+            state.textContent = entry.location ? `${entry.state} · ${entry.location}` : entry.state;
+            item.appendChild(name);
+            item.appendChild(state);
+            item.title = `${entry.name}: ${state.textContent}. Click to highlight.`;
+            makeKeyboardActivatable(item, 'button');
+            item.addEventListener('click', () => highlightChar(entry.name));
+            list.appendChild(item);
+        }
+        widget.appendChild(list);
+    }
+
+    // =========================================================================
+    // Room population history
+    //
+    // The current room's awake/idle/asleep counts are sampled at most once a
+    // minute and summed into hourly buckets per room, so the activity chart
+    // can average them by hour of the week. Buckets older than
+    // CONFIG.historyRetention days are dropped, and only the
+    // CONFIG.historyMaxRooms most recently visited rooms are kept.
+    // =========================================================================
+
+    const HISTORY_SAMPLE_INTERVAL = 60 * 1000;
+    const HOUR = 60 * 60 * 1000;
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    /**
+     * Load the room history: { [roomId]: { label, updated, hours } }, where
+     * `hours` maps an hour's start time to [awake, idle, asleep, samples]
+     * sums, the idle ones being counted as awake too.
+     */
+    function loadRoomHistory() {
+        try {
+            const stored = JSON.parse(GM_getValue(CONFIG.historyKey, '{}'));
+            if (stored && typeof stored === 'object') return stored;
+        } catch (_) { /* ignore bad stored data */ }
+        return {};
+    }
+
+    function pruneRoomHistory() {
+        const cutoff = Date.now() - CONFIG.historyRetention * 24 * HOUR;
+        for (const [id, room] of Object.entries(roomHistory)) {
+            for (const hour of Object.keys(room.hours)) {
+                if (Number(hour) < cutoff) delete room.hours[hour];
+            }
+            if (Object.keys(room.hours).length === 0) delete roomHistory[id];
+        }
+        const ids = Object.keys(roomHistory).sort((a, b) => roomHistory[b].updated - roomHistory[a].updated);
+        for (const id of ids.slice(CONFIG.historyMaxRooms)) {
+            delete roomHistory[id];
+        }
+    }
+
+    /**
+     * Count the characters of the "In room" section by presence. Overrides
+     * are ignored, this is what the room really looks like. Like everywhere
+     * else, characters not in a sleeper tier are awake; `idle` counts those
+     * of them past the first tier.
+     */
+    function countRoomPopulation(section) {
+        const counts = { awake: 0, idle: 0, asleep: 0 };
+        for (const el of getCharElements(section)) {
+            const tier = getCharTier(el);
+            if (tier.sleeper) {
+                counts.asleep++;
+                continue;
+            }
+            counts.awake++;
+            if (tier !== CONFIG.tiers[0]) counts.idle++;
+        }
+        return counts;
+    }
+
+    /**
+     * Add a sample of the current room to its history, unless one was taken
+     * less than HISTORY_SAMPLE_INTERVAL ago.
+     */
+    function recordPopulation(section) {
+        const now = Date.now();
+        if (!CONFIG.recordHistory || now - roomHistorySampled < HISTORY_SAMPLE_INTERVAL) return;
+        const room = getScopeContext().room;
+        if (!room) return;
+        roomHistorySampled = now;
+
+        const counts = countRoomPopulation(section);
+        const entry = roomHistory[room.id] || (roomHistory[room.id] = { hours: {} });
+        entry.label = room.label;
+        entry.updated = now;
+        const hour = now - now % HOUR;
+        const bucket = entry.hours[hour] || (entry.hours[hour] = [0, 0, 0, 0]);
+        bucket[0] += counts.awake;
+        bucket[1] += counts.idle;
+        bucket[2] += counts.asleep;
+        bucket[3]++;
+
+        pruneRoomHistory();
+        GM_setValue(CONFIG.historyKey, JSON.stringify(roomHistory));
+    }
+
+    /**
+     * Average a room's history by hour of the week. Returns 7 * 24 slots,
+     * indexed by day (0 = Sunday) * 24 + local hour, each either null (no
+     * samples) or { awake, idle, asleep, samples }.
+     */
+    function getWeeklyActivity(roomId) {
+        const sums = Array.from({ length: 7 * 24 }, () => [0, 0, 0, 0]);
+        const room = roomHistory[roomId];
+        for (const [hour, bucket] of Object.entries(room ? room.hours : {})) {
+            const date = new Date(Number(hour));
+            const sum = sums[date.getDay() * 24 + date.getHours()];
+            bucket.forEach((value, i) => { sum[i] += value; });
+        }
+        return sums.map(([awake, idle, asleep, samples]) => samples === 0 ? null : {
+            awake: awake / samples,
+            idle: idle / samples,
+            asleep: asleep / samples,
+            samples,
+        });
+    }
+
+    /**
+     * Show "awake / total" next to the client's population line, with a
+     * button for the activity chart.
+     */
+    function updatePopulation(section) {
+        recordPopulation(section);
+
+        const population = document.querySelector(CONFIG.selectors.population);
+        let el = document.getElementById('msf-population');
+        if (!population) {
+            if (el) el.remove();
+            return;
+        }
+        if (!el || el.previousElementSibling !== population) {
+            if (el) el.remove();
+            el = document.createElement('div');
+            el.id = 'msf-population';
+            el.className = 'msf-population';
+            const text = document.createElement('span');
+            text.className = 'msf-population-text';
+            const chartBtn = document.createElement('span');
+            chartBtn.className = 'msf-activity-btn';
+            chartBtn.textContent = '📊';
+            chartBtn.title = 'Activity by hour of the week';
+            chartBtn.setAttribute('aria-label', chartBtn.title);
+            makeKeyboardActivatable(chartBtn, 'button');
+            chartBtn.addEventListener('click', (ev) => {
+                ev.stopPropagation();
+                openActivityChart();
+            });
+            el.appendChild(text);
+            el.appendChild(chartBtn);
+            population.parentElement.insertBefore(el, population.nextSibling);
+        }
+
+        const counts = countRoomPopulation(section);
+        const total = counts.awake + counts.asleep;
+        setText(el.querySelector('.msf-population-text'), `${counts.awake} awake / ${total}`);
+        const title = `${counts.awake} awake (${counts.idle} of them idle), ${counts.asleep} away or asleep`;
+        if (el.title !== title) el.title = title;
+    }
+
+    /**
+     * Open the activity chart of the current room: a heatmap of the average
+     * number of characters not asleep, by day and hour.
+     */
+    function openActivityChart() {
+        const room = getScopeContext().room;
+        if (!room) return;
+        openDialog({
+            id: 'msf-activity-overlay',
+            title: `Activity: ${room.label}`,
+            className: 'msf-activity-dialog',
+            build: (dialog, close) => {
+                const slots = getWeeklyActivity(room.id);
+                const max = Math.max(1, ...slots.filter(Boolean).map(slot => slot.awake));
+
+                const grid = document.createElement('div');
+                grid.className = 'msf-activity-grid';
+                grid.appendChild(document.createElement('span'));
+                for (let hour = 0; hour < 24; hour++) {
+                    const label = document.createElement('span');
+                    label.className = 'msf-activity-label';
+                    label.textContent = hour % 3 === 0 ? String(hour) : '';
+                    grid.appendChild(label);
+                }
+                // Monday first
+                for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+                    const label = document.createElement('span');
+                    label.className = 'msf-activity-label';
+                    label.textContent = WEEKDAYS[day];
+                    grid.appendChild(label);
+                    for (let hour = 0; hour < 24; hour++) {
+                        const slot = slots[day * 24 + hour];
+                        const cell = document.createElement('span');
+                        cell.className = 'msf-activity-cell';
+                        const when = `${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00`;
+                        if (slot) {
+                            const alpha = (0.1 + 0.9 * slot.awake / max).toFixed(2);
+                            cell.style.background = `rgba(var(--msf-accent-rgb), ${alpha})`;
+                            cell.title = `${when}: ${slot.awake.toFixed(1)} awake (${slot.idle.toFixed(1)} of them idle), ` +
+                                `${slot.asleep.toFixed(1)} away or asleep on average`;
+                        } else {
+                            cell.title = `${when}: no data`;
+                        }
+                        grid.appendChild(cell);
+                    }
+                }
+                dialog.appendChild(grid);
+
+                const summary = document.createElement('p');
+                const busiest = slots
+                    .map((slot, i) => ({ slot, i }))
+                    .filter(({ slot }) => slot && slot.awake > 0)
+                    .sort((a, b) => b.slot.awake - a.slot.awake)
+                    .slice(0, 3)
+                    .map(({ i }) => `${WEEKDAYS[Math.floor(i / 24)]} ${String(i % 24).padStart(2, '0')}:00`);
+                summary.textContent = busiest.length > 0
+                    ? `Busiest: ${busiest.join(', ')}`
+                    : 'No history for this room yet.';
+                dialog.appendChild(summary);
+
+                const buttons = document.createElement('div');
+                buttons.className = 'msf-dialog-buttons';
+                const clearBtn = document.createElement('button');
+                clearBtn.type = 'button';
+                clearBtn.textContent = 'Clear history';
+                clearBtn.addEventListener('click', () => {
+                    delete roomHistory[room.id];
+                    GM_setValue(CONFIG.historyKey, JSON.stringify(roomHistory));
+                    close();
+                });
+                const spacer = document.createElement('span');
+                spacer.className = 'msf-dialog-spacer';
+                const closeBtn = document.createElement('button');
+                closeBtn.type = 'button';
+                closeBtn.textContent = 'Close';
+                closeBtn.addEventListener('click', close);
+                buttons.appendChild(clearBtn);
+                buttons.appendChild(spacer);
+                buttons.appendChild(closeBtn);
+                dialog.appendChild(buttons);
+            },
+        });
+    }
+
+    // =========================================================================
+    // Roster export
+    //
+    // Who is in the room (awake and sleeping, as the split would sort them)
+    // and who can be seen through the exits, as plain text, Markdown or CSV,
+    // e.g. to post the attendance of an event. Characters overridden as
+    // hidden are left out.
+    // =========================================================================
+
+    const EXPORT_FORMATS = [
+        { id: 'text', label: 'Plain text', extension: 'txt', type: 'text/plain' },
+        { id: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown' },
+        { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+    ];
+
+    /**
+     * Collect the roster of the current room: groups of
+     * { name, description, state, asleepFor } rows, where `asleepFor` is the
+     * time in the current sleeper tier when known.
+     */
+    function getRoster() {
+        const room = getScopeContext().room;
+        const awake = { label: 'Awake', rows: [] };
+        const sleeping = { label: 'Sleeping', rows: [] };
+        const descriptions = new Map();
+        const describe = (el) => {
+            const text = el.querySelector(CONFIG.selectors.badgeText);
+            return text ? text.textContent.trim() : '';
+        };
+        const asleepFor = (name, tier) => {
+            const ms = tier && tier.sleeper && name ? getTimeInTier(name) : null;
+            return ms === null ? '' : formatDuration(ms);
+        };
+
+        for (const el of getAwakeCharElements()) {
+            const name = getCharName(el);
+            if (name) descriptions.set(normalizeName(name), describe(el));
+        }
+        const inRoom = findInRoomSection();
+        if (inRoom) {
+            for (const el of getCharElements(inRoom.section)) {
+                const tier = getFilterTier(el);
+                const name = getCharName(el);
+                if (!tier || !name) continue;
+                descriptions.set(normalizeName(name), describe(el));
+                (tier.sleeper ? sleeping : awake).rows.push({
+                    name, description: describe(el), state: tier.label, asleepFor: asleepFor(name, tier),
+                });
+            }
+        }
+
+        const exits = [];
+        const cachedAvatars = getCachedAvatars();
+        for (const container of getExitCharContainers()) {
+            const exitEl = container.closest(CONFIG.selectors.exit);
+            const nameEl = exitEl && exitEl.querySelector(CONFIG.selectors.exitName);
+            const group = { label: `Exit: ${nameEl ? nameEl.textContent.trim() : 'unnamed'}`, rows: [] };
+            for (const exitChar of getExitCharElements(container)) {
+                const entry = classifyExitChar(exitChar, cachedAvatars);
+                if (entry.tier === null) continue;
+                const state = entry.tier ? entry.tier.label
+                    : entry.cached ? (entry.sleeper ? 'Asleep' : 'Awake')
+                    : 'Unknown';
+                group.rows.push({
+                    name: entry.name || 'Unidentified',
+                    description: (entry.name && descriptions.get(normalizeName(entry.name))) || '',
+                    state,
+                    asleepFor: asleepFor(entry.name, entry.tier),
+                });
+            }
+            if (group.rows.length > 0) exits.push(group);
+        }
+
+        return { room: room ? room.label : 'Unknown room', time: new Date(), groups: [awake, sleeping, ...exits] };
+    }
+
+    /**
+     * Format a roster as one of EXPORT_FORMATS.
+     */
+    function formatRoster(roster, format) {
+        const state = row => [row.state, row.asleepFor].filter(Boolean).join(', ');
+        const title = `${roster.room}, ${roster.time.toLocaleString()}`;
+
+        if (format === 'csv') {
+            const cell = (value) => {
+                // Quote where needed, and keep spreadsheets from reading
+                // names as formulas
+                const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [['Room', 'Section', 'Name', 'Description', 'State', 'Time asleep']];
+            for (const group of roster.groups) {
+                for (const row of group.rows) {
+                    lines.push([roster.room, group.label, row.name, row.description, row.state, row.asleepFor]);
+                }
+            }
+            return lines.map(line => line.map(cell).join(',')).join('\n') + '\n';
+        }
+
+        if (format === 'markdown') {
+            const escape = text => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+            const lines = [`## ${escape(title)}`];
+            for (const group of roster.groups) {
+                lines.push('', `### ${escape(group.label)} (${group.rows.length})`);
+                if (group.rows.length === 0) lines.push('', '_Nobody_');
+                else lines.push('');
+                for (const row of group.rows) {
+                    const description = row.description ? ` — ${escape(row.description)}` : '';
+                    lines.push(`- **${escape(row.name)}**${description} (${escape(state(row))})`);
+                }
+            }
+            return lines.join('\n') + '\n';
+        }
+
+        const lines = [title];
+        for (const group of roster.groups) {
+            lines.push('', `${group.label} (${group.rows.length})`);
+            if (group.rows.length === 0) lines.push('  Nobody');
+            for (const row of group.rows) {
+                const description = row.description ? ` — ${row.description}` : '';
+                lines.push(`  ${row.name}${description} (${state(row)})`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Save text as a file through a temporary download link.
+     */
+    function downloadText(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Open the roster export dialog for the current room. The roster is
+     * taken when the dialog opens; Refresh takes it again.
+     */
+    function openRosterExport() {
+        openDialog({
+            id: 'msf-export-overlay',
+            title: 'Export roster',
+            className: 'msf-export-dialog',
+            build: (dialog, close) => {
+                const formatRow = document.createElement('label');
+                formatRow.className = 'msf-dialog-field';
+                const formatText = document.createElement('span');
+                formatText.textContent = 'Format';
+                const formatSelect = document.createElement('select');
+                for (const format of EXPORT_FORMATS) {
+                    const option = document.createElement('option');
+                    option.value = format.id;
+                    option.textContent = format.label;
+                    formatSelect.appendChild(option);
+                }
+                const storedFormat = GM_getValue(CONFIG.exportFormatKey, 'text');
+                formatSelect.value = EXPORT_FORMATS.some(f => f.id === storedFormat) ? storedFormat : 'text';
+                formatRow.appendChild(formatText);
+                formatRow.appendChild(formatSelect);
+                dialog.appendChild(formatRow);
+
+                const output = document.createElement('textarea');
+                output.readOnly = true;
+                output.setAttribute('aria-label', 'Roster');
+                dialog.appendChild(output);
+                const status = document.createElement('div');
+                status.className = 'msf-dialog-hint';
+                status.setAttribute('role', 'status');
+                dialog.appendChild(status);
+
+                let roster = getRoster();
+                function render() {
+                    output.value = formatRoster(roster, formatSelect.value);
+                    const count = roster.groups.slice(0, 2).reduce((sum, group) => sum + group.rows.length, 0);
+                    const exits = roster.groups.slice(2).reduce((sum, group) => sum + group.rows.length, 0);
+                    status.textContent = `${count} in the room, ${exits} through exits`;
+                }
+                formatSelect.addEventListener('change', () => {
+                    GM_setValue(CONFIG.exportFormatKey, formatSelect.value);
+                    render();
+                });
+                render();
+
+                const buttons = document.createElement('div');
+                buttons.className = 'msf-dialog-buttons';
+                function addButton(text, onClick) {
+                    const btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.textContent = text;
+                    btn.addEventListener('click', onClick);
+                    buttons.appendChild(btn);
+                    return btn;
+                }
+
+                addButton('Refresh', () => {
+                    roster = getRoster();
+                    render();
+                });
+                addButton('Copy', () => {
+                    output.select();
+                    if (!navigator.clipboard) {
+                        status.textContent = 'Press Ctrl+C to copy the selected text.';
+                        return;
+                    }
+                    navigator.clipboard.writeText(output.value).then(
+                        () => { status.textContent = 'Copied to the clipboard.'; },
+                        () => { status.textContent = 'Could not copy; press Ctrl+C to copy the selected text.'; });
+                });
+                addButton('Download', () => {
+                    const format = EXPORT_FORMATS.find(f => f.id === formatSelect.value);
+                    const pad = n => String(n).padStart(2, '0');
+                    const t = roster.time;
+                    const stamp = `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}-` +
+                        `${pad(t.getHours())}${pad(t.getMinutes())}`;
+                    const slug = roster.room.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'room';
+                    downloadText(output.value, `roster-${slug}-${stamp}.${format.extension}`, format.type);
+                });
+                const spacer = document.createElement('span');
+                spacer.className = 'msf-dialog-spacer';
+                buttons.appendChild(spacer);
+                addButton('Close', close);
+                dialog.appendChild(buttons);
+
+                return formatSelect;
+            },
+        });
+    }
+
+    // =========================================================================
+    // Keyboard & screen readers
+    //
+    // Injected controls are focusable and work with Enter/Space, toggles and
+    // section headers expose their state through ARIA, and a polite live
+    // region tells screen reader users when characters change sections
+    // (the visual move alone isn't announced). Two global hotkeys toggle the
+    // split and expand/collapse all sleeper sections.
+    // =========================================================================
+
+    // Section each room character was placed in on the previous pass, by
+    // normalized name, to announce moves
+    const roomPlacement = new Map();
+
+    /**
+     * Make a non-button element focusable and clickable with Enter/Space.
+     */
+    function makeKeyboardActivatable(el, role) {
+        el.setAttribute('role', role);
+        el.tabIndex = 0;
+        el.addEventListener('keydown', (ev) => {
+            if (ev.key !== 'Enter' && ev.key !== ' ') return;
+            ev.preventDefault();
+            ev.stopPropagation();
+            el.click();
+        });
+    }
+
+    /**
+     * Read a message out through the live region.
+     */
+    function announce(message) {
+        let region = document.getElementById('msf-live-region');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'msf-live-region';
+            region.className = 'msf-sr-only';
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(region);
+        }
+        // Clear first so a repeated message is read again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    /**
+     * Compare the room characters' sections with the previous pass and
+     * announce the ones that moved. `placement` maps each visible
+     * character's name to its section label. Arrivals and departures are
+     * left to the client.
+     */
+    function announceMoves(placement) {
+        const moves = [];
+        for (const [key, { name, section }] of placement) {
+            const previous = roomPlacement.get(key);
+            if (previous && previous.section !== section) moves.push(`${name} moved to ${section}`);
+        }
+        roomPlacement.clear();
+        for (const [key, entry] of placement) roomPlacement.set(key, entry);
+
+        if (!CONFIG.announceMoves || moves.length === 0) return;
+        announce(moves.length <= 3 ? moves.join('. ') : `${moves.length} characters moved between sections`);
+    }
+
+    /**
+     * Format a keydown event as a hotkey string, e.g. "Alt+Shift+S". Returns
+     * null for a lone modifier key.
+     */
+    function getEventHotkey(ev) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(ev.key)) return null;
+        // Use the physical key for letters and digits, so combinations that
+        // type a different character (Alt on macOS, Shift+digit) still match
+        let key = /^(Key|Digit)./.test(ev.code || '') ? ev.code.slice(-1) : ev.key;
+        if (key === ' ') key = 'Space';
+        if (key.length === 1) key = key.toUpperCase();
+        return [ev.ctrlKey && 'Ctrl', ev.altKey && 'Alt', ev.shiftKey && 'Shift', ev.metaKey && 'Meta', key]
+            .filter(Boolean).join('+');
+    }
+
+    /**
+     * Expand all sleeper sections (room tiers and the Awake panel group) if
+     * all are collapsed, otherwise collapse them.
+     */
+    function toggleSleeperSections() {
+        const keys = [
+            ...CONFIG.tiers.filter(tier => tier.split && tier.sleeper).map(tier => 'open.' + tier.id),
+            'awakeSleepersOpen',
+        ];
+        const open = !keys.some(key => resolveScoped(key).value);
+        for (const key of keys) setScoped(key, open);
+        applyFilter();
+        announce(`${CONFIG.awakeSleepersLabel} ${open ? 'expanded' : 'collapsed'}`);
+    }
+
+    /**
+     * Global keydown handler for the configured hotkeys.
+     */
+    function onHotkey(ev) {
+        if (ev.defaultPrevented || ev.repeat) return;
+        const hotkey = getEventHotkey(ev);
+        if (!hotkey) return;
+
+        const target = ev.target;
+        const typing = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+        if (typing && !(ev.ctrlKey || ev.altKey || ev.metaKey)) return;
+
+        if (hotkey === CONFIG.hotkeySplit) {
+            setScoped('split', !splitEnabled);
+            applyFilter();
+            announce(`${CONFIG.toggleLabel}: ${splitEnabled ? DISPLAY_MODES.find(m => m.id === displayMode).label : 'off'}`);
+        } else if (hotkey === CONFIG.hotkeySleepers) {
+            toggleSleeperSections();
+        } else {
+            return;
+        }
+        ev.preventDefault();
+        ev.stopPropagation();
+    }
+
+    // =========================================================================
+    // UI Components
+    // =========================================================================
+
+    /**
+     * Open a modal dialog, unless the one with this overlay id is already
+     * open. build(dialog, close) adds the content below the title and may
+     * return the element to focus. Escape, a click outside the dialog and
+     * close() close it and give focus back to where it was.
+     */
+    function openDialog({ id, title, className = '', build }) {
+        if (document.getElementById(id)) return;
+        const returnFocus = document.activeElement;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'msf-dialog-overlay';
+        overlay.id = id;
+
+        const dialog = document.createElement('div');
+        dialog.className = `msf-dialog ${className}`.trim();
+
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+        dialog.appendChild(heading);
+
+        function close() {
+            document.removeEventListener('keydown', onKeyDown, true);
+            overlay.remove();
+            if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+                returnFocus.focus();
+            }
+        }
+        function onKeyDown(ev) {
+            if (ev.key === 'Escape') {
+                ev.stopPropagation();
+                close();
+            }
+        }
+
+        const focusTarget = build(dialog, close);
+
+        overlay.appendChild(dialog);
+        overlay.addEventListener('click', (ev) => {
+            if (ev.target === overlay) close();
+        });
+        document.addEventListener('keydown', onKeyDown, true);
+        document.body.appendChild(overlay);
+        if (focusTarget) focusTarget.focus();
+    }
+
+    /**
+     * Create a toggle switch element.
+     *
+     * Options:
+     *   label, title   - text and tooltip
+     *   enabled        - initial state
+     *   onChange       - called with the new state when clicked
+     */
+    function createToggle({ label: labelText, title, enabled, onChange }) {
+        const container = document.createElement('div');
+        container.className = 'msf-toggle-container';
+        container.title = title;
+        makeKeyboardActivatable(container, 'switch');
+        container.setAttribute('aria-checked', String(enabled));
+        container.setAttribute('aria-label', labelText);
+
+        const toggle = document.createElement('div');
+        toggle.className = 'msf-toggle-switch' + (enabled ? ' active' : '');
+
+        const label = document.createElement('span');
+        label.className = 'msf-toggle-label';
+        label.textContent = labelText;
+
+        container.appendChild(toggle);
+        container.appendChild(label);
+
+        container.addEventListener('click', (ev) => {
+            // Don't let the client's panel header handle the click too
+            ev.stopPropagation();
+            enabled = !enabled;
+            toggle.classList.toggle('active', enabled);
+            container.setAttribute('aria-checked', String(enabled));
+            onChange(enabled);
+        });
+
+        return container;
+    }
+
+    /**
+     * Create the display mode selector for the "In room" section. "Off" turns
+     * the split toggle off and keeps the mode for when it is turned on again
+     * (e.g. by the hotkey).
+     */
+    function createRoomToggle() {
+        const container = document.createElement('div');
+        container.className = 'msf-toggle-container msf-mode-container';
+        container.id = 'msf-room-toggle';
+        container.title = `${CONFIG.toggleTitle} (${describeScopeLevel(resolveScoped('split').level)})`;
+        // Don't let the client's panel header handle clicks too
+        container.addEventListener('click', ev => ev.stopPropagation());
+
+        const label = document.createElement('label');
+        label.className = 'msf-toggle-label';
+        label.htmlFor = 'msf-room-mode';
+        label.textContent = CONFIG.toggleLabel;
+
+        const select = document.createElement('select');
+        select.id = 'msf-room-mode';
+        select.className = 'msf-mode-select';
+        for (const mode of [{ id: 'off', label: 'Off', description: 'show the list as the client does' }, ...DISPLAY_MODES]) {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.label;
+            option.title = mode.description;
+            select.appendChild(option);
+        }
+        select.value = splitEnabled ? displayMode : 'off';
+        select.addEventListener('change', () => {
+            const hadFocus = document.activeElement === select;
+            if (select.value === 'off') {
+                setScoped('split', false);
+            } else {
+                if (select.value !== displayMode) setScoped('displayMode', select.value);
+                setScoped('split', true);
+            }
+            applyFilter();
+            // setScoped() may have had the selector rebuilt
+            const current = document.getElementById(select.id);
+            if (hadFocus && current) current.focus();
+        });
+
+        const exportBtn = document.createElement('span');
+        exportBtn.className = 'msf-export-btn';
+        exportBtn.textContent = '⇩';
+        exportBtn.title = 'Export the roster of this room';
+        exportBtn.setAttribute('aria-label', exportBtn.title);
+        makeKeyboardActivatable(exportBtn, 'button');
+        exportBtn.addEventListener('click', () => openRosterExport());
+
+        const settingsBtn = document.createElement('span');
+        settingsBtn.className = 'msf-settings-btn';
+        settingsBtn.textContent = '⚙';
+        settingsBtn.title = 'Sleeper filter settings';
+        settingsBtn.setAttribute('aria-label', settingsBtn.title);
+        makeKeyboardActivatable(settingsBtn, 'button');
+        settingsBtn.addEventListener('click', () => openSettingsDialog());
+
+        container.appendChild(label);
+        container.appendChild(select);
+        container.appendChild(exportBtn);
+        container.appendChild(settingsBtn);
+        return container;
+    }
+
+    /**
+     * Create the toggle for the Awake panel
+     */
+    function createAwakeToggle() {
+        const container = createToggle({
+            label: CONFIG.awakeToggleLabel,
+            title: `${CONFIG.awakeToggleTitle} (${describeScopeLevel(resolveScoped('awakeSplit').level)})`,
+            enabled: awakeSplitEnabled,
+            onChange: (enabled) => {
+                setScoped('awakeSplit', enabled);
+                applyFilter();
+            },
+        });
+        container.id = 'msf-awake-toggle';
+        return container;
+    }
+
+    // CSS order distance between section headers, leaving room for the
+    // sorted characters of each section
+    const SECTION_ORDER_STEP = 10000;
+
+    /**
+     * CSS order past the last possible section, for what follows all of
+     * them: the compact sleeper strip, then the hidden count. Browsers clamp
+     * order to 32 bits, so it has to stay well below that.
+     */
+    function getTrailingOrder() {
+        return (CONFIG.rules.length + CONFIG.tiers.length + 1) * SECTION_ORDER_STEP;
+    }
+
+    const SECTION_SORTS = {
+        client: 'Client order',
+        name: 'Name',
+        level: 'Least idle first',
+        time: 'Time in tier',
+    };
+
+    /**
+     * Sort character elements of a section by the current sectionSort.
+     * Ties, and the "client" sort, keep the client's order. The "level" sort
+     * only applies to sections holding several tiers (`mixedTiers`); in a
+     * tier section every character has the same level. See
+     * hasMixedTierSections().
+     */
+    function sortChars(charElements, mixedTiers = false) {
+        const sort = sectionSort === 'level' && !mixedTiers ? 'client' : sectionSort;
+        const entries = charElements.map((el, i) => {
+            const name = getCharName(el) || '';
+            return {
+                el,
+                i,
+                name,
+                level: CONFIG.tiers.indexOf(getCharTier(el)),
+                time: getTimeInTier(name),
+            };
+        });
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const compare = {
+            client: () => 0,
+            name: byName,
+            level: (a, b) => a.level - b.level || byName(a, b),
+            // Longest first; unknown times last
+            time: (a, b) => (b.time ?? -1) - (a.time ?? -1) || byName(a, b),
+        }[sort] || (() => 0);
+        return entries.sort((a, b) => compare(a, b) || a.i - b.i).map(entry => entry.el);
+    }
+
+    /**
+     * Whether any section holds characters of several tiers, the only ones
+     * the "level" sort applies to: rule sections, the compact sleeper strip
+     * and the Awake panel sleepers.
+     */
+    function hasMixedTierSections() {
+        const roomMixed = splitEnabled &&
+            (displayMode === 'compact' || (displayMode === 'split' && CONFIG.rules.some(rule => rule.enabled)));
+        return roomMixed || awakeSplitEnabled;
+    }
+
+    /**
+     * Add the search and sort bar above the "In room" list, or move it back
+     * there if the list changed.
+     */
+    function ensureSearchBar(list) {
+        let bar = document.getElementById('msf-search-bar');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'msf-search-bar';
+            bar.id = 'msf-search-bar';
+
+            const input = document.createElement('input');
+            input.type = 'search';
+            input.placeholder = 'Search name, gender or species';
+            input.value = roomSearch;
+            input.addEventListener('input', () => {
+                roomSearch = input.value;
+                applyRoomSearch();
+            });
+            // Keep typing from reaching the client's own key handlers
+            input.addEventListener('keydown', ev => ev.stopPropagation());
+
+            const sort = document.createElement('select');
+            sort.title = 'Sort characters within sections';
+            for (const [value, label] of Object.entries(SECTION_SORTS)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                sort.appendChild(option);
+            }
+            sort.addEventListener('change', () => {
+                setScoped('sectionSort', sort.value);
+                applyFilter();
+            });
+
+            bar.appendChild(input);
+            bar.appendChild(sort);
+        }
+        // The sort may differ per room or character. Sorts that can't apply
+        // to any section right now aren't offered.
+        const sortSelect = bar.querySelector('select');
+        const levelAvailable = hasMixedTierSections();
+        const levelOption = sortSelect.querySelector('option[value="level"]');
+        if (levelOption.hidden === levelAvailable) {
+            levelOption.hidden = !levelAvailable;
+            levelOption.disabled = !levelAvailable;
+        }
+        sortSelect.value = sectionSort === 'level' && !levelAvailable ? 'client' : sectionSort;
+        // Only move the bar when needed; moving it would drop input focus
+        if (bar.nextSibling !== list) {
+            list.parentElement.insertBefore(bar, list);
+        }
+    }
+
+    /**
+     * Hide "In room" characters whose name and badge text (gender/species)
+     * don't contain the search text.
+     */
+    function applyRoomSearch() {
+        suppressObserver = true;
+        const inRoom = findInRoomSection();
+        const query = roomSearch.trim().toLowerCase();
+        const charElements = inRoom ? getCharElements(inRoom.section) : [];
+        const list = query && charElements.length > 0 ? findCharList(charElements) : null;
+        const misses = new Set();
+        if (list) {
+            for (const el of charElements) {
+                const badgeText = el.querySelector(CONFIG.selectors.badgeText);
+                const text = `${getCharName(el) || ''} ${badgeText ? badgeText.textContent : ''}`.toLowerCase();
+                if (!text.includes(query)) {
+                    misses.add(getListItem(el, list));
+                }
+            }
+        }
+
+        // Only touch the elements whose search state changes
+        document.querySelectorAll('.msf-search-hidden').forEach((el) => {
+            if (!misses.has(el)) el.classList.remove('msf-search-hidden');
+        });
+        document.querySelectorAll('.msf-searching').forEach((el) => {
+            if (el !== list) el.classList.remove('msf-searching');
+        });
+        for (const item of misses) item.classList.toggle('msf-search-hidden', true);
+        if (list) list.classList.toggle('msf-searching', true);
+        resumeObserver();
+    }
+
+    /**
+     * Group character elements under a collapsible section header inside the
+     * list the client rendered them in.
+     *
+     * The characters are never moved or cloned. The list is turned into a
+     * flex column and each character's list item gets a CSS `order` that
+     * places it after the header, so the entries remain the client's own live
+     * components: re-renders, tooltips, context menus, focus and drag all
+     * keep working. Collapsing only hides the items.
+     *
+     * The header is reused from the previous pass if it is still in the
+     * list, and only what changed is updated. Everything the group uses is
+     * added to `keep` (see resetCharList()).
+     *
+     * Options:
+     *   id         - element id of the header
+     *   panel      - panel name, used by resetCharList() to undo the grouping
+     *   label      - header text
+     *   order      - CSS order of the header; its characters follow it in the
+     *                order given, sorted with sortChars(), so leave room for
+     *                them (sections are SECTION_ORDER_STEP apart)
+     *   open       - initial open state
+     *   onToggle   - called with the new open state when the header is clicked
+     *   mixedTiers - the characters may be in different tiers (see sortChars())
+     */
+    function groupChars({ id, panel, label, order, open, onToggle, mixedTiers }, list, charElements, keep) {
+        sortChars(charElements, mixedTiers).forEach((el, i) => {
+            setItemState(getListItem(el, list), panel, keep, { order: order + 1 + i, section: id, collapsed: !open });
+        });
+
+        let header = findInjected(list, el => el.id === id);
+        if (!header) {
+            header = createSectionHeader(id, onToggle);
+            list.appendChild(header);
+        }
+        keep.add(header);
+        if (header.dataset.msfPanel !== panel) header.dataset.msfPanel = panel;
+        if (header.style.order !== String(order)) header.style.order = order;
+        if (header.getAttribute('aria-expanded') !== String(open)) header.setAttribute('aria-expanded', String(open));
+        header.querySelector('.msf-tier-arrow').classList.toggle('open', open);
+        setText(header.querySelector('.msf-tier-title'), label);
+        setText(header.querySelector('.msf-tier-count'), `(${charElements.length})`);
+
+        setListState(list, panel, keep);
+        return header;
+    }
+
+    /**
+     * Create a collapsible section header for groupChars(). Its state lives
+     * in the DOM (aria-expanded, and the items' data-msf-section), so the
+     * click handler stays valid across passes that reuse the header.
+     */
+    function createSectionHeader(id, onToggle) {
+        const header = document.createElement('div');
+        header.className = 'msf-tier-header';
+        header.id = id;
+        makeKeyboardActivatable(header, 'button');
+
+        const arrow = document.createElement('span');
+        arrow.className = 'msf-tier-arrow';
+        arrow.textContent = '►';
+        arrow.setAttribute('aria-hidden', 'true');
+
+        const title = document.createElement('span');
+        title.className = 'msf-tier-title';
+
+        const count = document.createElement('span');
+        count.className = 'msf-tier-count';
+
+        header.appendChild(arrow);
+        header.appendChild(title);
+        header.appendChild(count);
+
+        header.addEventListener('click', () => {
+            const open = header.getAttribute('aria-expanded') !== 'true';
+            onToggle(open);
+            arrow.classList.toggle('open', open);
+            header.setAttribute('aria-expanded', String(open));
+            for (const item of header.parentElement.children) {
+                if (item.dataset.msfSection === id) item.classList.toggle('msf-collapsed-char', !open);
+            }
+        });
+        return header;
+    }
+
+    /**
+     * Hide character elements from their list, leaving a count of how many
+     * were hidden at the bottom.
+     */
+    function hideChars(panel, list, charElements, keep,
+        title = 'Hidden by character overrides. Manage them in the sleeper filter settings.') {
+        if (charElements.length === 0) return;
+        for (const el of charElements) {
+            setItemState(getListItem(el, list), panel, keep, { hidden: true });
+        }
+        let count = findInjected(list, el => el.classList.contains('msf-hidden-count'));
+        if (!count) {
+            count = document.createElement('div');
+            count.className = 'msf-hidden-count';
+            count.dataset.msfPanel = panel;
+            list.appendChild(count);
+        }
+        keep.add(count);
+        const order = String(getTrailingOrder() + SECTION_ORDER_STEP);
+        if (count.style.order !== order) count.style.order = order;
+        if (count.title !== title) count.title = title;
+        setText(count, `${charElements.length} hidden`);
+        setListState(list, panel, keep);
+    }
+
+    /**
+     * Add the override button to a room character badge, or update it.
+     * The button sits in the badge's tool area and opens the override menu.
+     */
+    function ensureOverrideButton(charEl) {
+        const name = getCharName(charEl);
+        const badge = charEl.querySelector(CONFIG.selectors.roomCharBadge);
+        if (!name || !badge) return;
+        badge.classList.toggle('msf-override-host', true);
+
+        let btn = badge.querySelector('.msf-override-btn');
+        if (!btn) {
+            btn = document.createElement('span');
+            btn.className = 'msf-override-btn';
+            makeKeyboardActivatable(btn, 'button');
+            btn.setAttribute('aria-haspopup', 'menu');
+            btn.addEventListener('click', (ev) => {
+                ev.stopPropagation();
+                openOverrideMenu(btn, getCharName(charEl) || name);
+            });
+            const tools = badge.querySelector(CONFIG.selectors.badgeTools) || badge;
+            tools.insertBefore(btn, tools.firstChild);
+        }
+
+        const mode = getCharOverride(name);
+        const watch = getCharWatch(name);
+        btn.classList.toggle('set', !!mode || !!watch);
+        setText(btn, mode ? OVERRIDE_MODES[mode].icon : !watch ? '⋯' : watch.wake || watch.arrive ? '🔔' : '★');
+        const title = mode ? `${OVERRIDE_MODES[mode].label} (click to change)` : 'Sleeper filter override';
+        if (btn.title !== title) {
+            btn.title = title;
+            btn.setAttribute('aria-label', `${name}: ${title}`);
+        }
+    }
+
+    /**
+     * Open the override menu for a character next to its button. Besides the
+     * override modes it holds the character's notification and watchlist
+     * toggles.
+     */
+    function openOverrideMenu(btn, name) {
+        const existing = document.getElementById('msf-override-menu');
+        if (existing) existing.remove();
+
+        const menu = document.createElement('div');
+        menu.className = 'msf-override-menu';
+        menu.id = 'msf-override-menu';
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', name);
+
+        const current = getCharOverride(name);
+        const options = [[null, 'Default'], ...Object.entries(OVERRIDE_MODES).map(([mode, o]) => [mode, o.label])];
+        for (const [mode, label] of options) {
+            const item = document.createElement('div');
+            item.textContent = label;
+            item.setAttribute('role', 'menuitemradio');
+            item.setAttribute('aria-checked', String(mode === current));
+            if (mode === current) item.classList.add('selected');
+            item.addEventListener('click', (ev) => {
+                ev.stopPropagation();
+                close();
+                setCharOverride(name, mode);
+                applyFilter();
+            });
+            menu.appendChild(item);
+        }
+
+        const watch = getCharWatch(name) || {};
+        for (const [kind, label] of [['wake', 'Notify when awake'], ['arrive', 'Notify on arrival'], ['list', 'Show in watchlist']]) {
+            const item = document.createElement('div');
+            item.textContent = (watch[kind] ? '✓ ' : '') + label;
+            item.setAttribute('role', 'menuitemcheckbox');
+            item.setAttribute('aria-checked', String(!!watch[kind]));
+            if (kind === 'wake') item.style.borderTop = '1px solid rgba(var(--msf-fg-rgb), 0.08)';
+            item.addEventListener('click', (ev) => {
+                ev.stopPropagation();
+                close();
+                setCharWatch(name, kind, !watch[kind]);
+                if (!watch[kind] && kind !== 'list') requestNotificationPermission();
+                applyFilter();
+            });
+            menu.appendChild(item);
+        }
+
+        const items = Array.from(menu.children);
+        for (const item of items) item.tabIndex = -1;
+
+        function close() {
+            document.removeEventListener('click', onOutsideClick, true);
+            document.removeEventListener('keydown', onKeyDown, true);
+            // Return focus to the button if it was in the menu
+            const refocus = menu.contains(document.activeElement);
+            menu.remove();
+            if (refocus) btn.focus();
+        }
+        function onOutsideClick(ev) {
+            if (!menu.contains(ev.target)) close();
+        }
+        function onKeyDown(ev) {
+            const index = items.indexOf(document.activeElement);
+            if (ev.key === 'Escape') {
+                close();
+            } else if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+                const step = ev.key === 'ArrowDown' ? 1 : -1;
+                items[(index + step + items.length) % items.length].focus();
+            } else if ((ev.key === 'Enter' || ev.key === ' ') && index >= 0) {
+                items[index].click();
+            } else if (ev.key === 'Tab') {
+                close();
+                return;
+            } else {
+                return;
+            }
+            ev.preventDefault();
+            ev.stopPropagation();
+        }
+
+        // Below the button, right-aligned to it, but kept inside the
+        // viewport (small mobile screens)
+        document.body.appendChild(menu);
+        const rect = btn.getBoundingClientRect();
+        const margin = 8;
+        const left = Math.min(rect.right - menu.offsetWidth, window.innerWidth - menu.offsetWidth - margin);
+        let top = rect.bottom;
+        if (top + menu.offsetHeight > window.innerHeight - margin) {
+            top = Math.max(margin, rect.top - menu.offsetHeight);
+        }
+        menu.style.left = Math.max(margin, left) + 'px';
+        menu.style.top = top + 'px';
+        (items.find(item => item.getAttribute('aria-checked') === 'true') || items[0]).focus();
+        document.addEventListener('click', onOutsideClick, true);
+        document.addEventListener('keydown', onKeyDown, true);
+    }
+
+    const RULE_PLACEHOLDERS = {
+        name: 'Alice, Bob Smith',
+        badge: 'LFRP or /looking for (rp|scene)/',
+        level: 'away, asleep',
+        state: 'awake, asleep',
+    };
+
+    /**
+     * Create the editor for the section rules: one row per rule, in priority
+     * order. Works like an input for fillForm()/readForm(), through its
+     * `value`; rows keep their rule's id so stored open states stay put.
+     */
+    function createRulesEditor() {
+        const element = document.createElement('div');
+        element.className = 'msf-rules-editor';
+        const rows = document.createElement('div');
+        const hint = document.createElement('div');
+        hint.className = 'msf-dialog-hint';
+        hint.textContent = 'Characters go to the first matching section; the rest are sorted by ' +
+            'presence tier. Lists are comma separated; badge text may be a /regex/.';
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.textContent = 'Add rule';
+        addBtn.addEventListener('click', () => {
+            addRow({ id: Date.now().toString(36) + rows.children.length, label: '', match: 'name', value: '', enabled: true });
+            rows.lastChild.querySelector('input[type="text"]').focus();
+        });
+        element.appendChild(rows);
+        element.appendChild(addBtn);
+        element.appendChild(hint);
+
+        function addRow(rule) {
+            const row = document.createElement('div');
+            row.className = 'msf-rule-row';
+            row.dataset.rule = rule.id;
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = rule.enabled;
+            enabled.title = 'Enabled';
+            const label = document.createElement('input');
+            label.type = 'text';
+            label.placeholder = 'Section name';
+            label.value = rule.label;
+            const match = document.createElement('select');
+            for (const [value, text] of Object.entries(RULE_MATCHES)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                match.appendChild(option);
+            }
+            match.value = rule.match;
+            const value = document.createElement('input');
+            value.type = 'text';
+            value.value = rule.value;
+            value.placeholder = RULE_PLACEHOLDERS[rule.match];
+            match.addEventListener('change', () => { value.placeholder = RULE_PLACEHOLDERS[match.value]; });
+
+            row.appendChild(enabled);
+            row.appendChild(label);
+            row.appendChild(match);
+            row.appendChild(value);
+            for (const [text, title, onClick] of [
+                ['↑', 'Move up', () => row.previousSibling && rows.insertBefore(row, row.previousSibling)],
+                ['↓', 'Move down', () => row.nextSibling && rows.insertBefore(row.nextSibling, row)],
+                ['✕', 'Remove', () => row.remove()],
+            ]) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = text;
+                btn.title = title;
+                btn.setAttribute('aria-label', title);
+                btn.addEventListener('click', onClick);
+                row.appendChild(btn);
+            }
+            rows.appendChild(row);
+        }
+
+        return {
+            element,
+            get value() {
+                return [...rows.children].map((row) => {
+                    const [enabled, label, match, value] = row.querySelectorAll('input, select');
+                    return { id: row.dataset.rule, label: label.value, match: match.value, value: value.value, enabled: enabled.checked };
+                });
+            },
+            set value(rules) {
+                rows.textContent = '';
+                for (const rule of rules || []) addRow(rule);
+            },
+        };
+    }
+
+    /**
+     * Open the settings dialog. Saving applies the settings immediately;
+     * import/export work on the same JSON shape as the stored settings.
+     */
+    function openSettingsDialog() {
+        openDialog({
+            id: 'msf-settings-overlay',
+            title: 'Sleeper filter settings',
+            build: (dialog, close) => {
+                // Build one input per field, grouped under headings
+                const inputs = new Map();
+                let group = null;
+                for (const field of SETTINGS_FIELDS) {
+                    if (field.group !== group) {
+                        group = field.group;
+                        const groupHeading = document.createElement('h3');
+                        groupHeading.textContent = group;
+                        dialog.appendChild(groupHeading);
+                    }
+                    if (field.type === 'rules') {
+                        const editor = createRulesEditor();
+                        dialog.appendChild(editor.element);
+                        inputs.set(field, editor);
+                        continue;
+                    }
+                    const row = document.createElement('label');
+                    row.className = 'msf-dialog-field';
+                    const text = document.createElement('span');
+                    text.textContent = field.label;
+                    const failure = selectorFailures.find(f => field.key === 'selectors.' + f.key);
+                    if (failure) {
+                        row.classList.add('msf-dialog-field-failed');
+                        row.title = failure.reason;
+                    }
+                    let input;
+                    if (field.type === 'select') {
+                        input = document.createElement('select');
+                        for (const [value, label] of field.options) {
+                            const option = document.createElement('option');
+                            option.value = value;
+                            option.textContent = label;
+                            input.appendChild(option);
+                        }
+                    } else if (field.type === 'hotkey') {
+                        // Record the pressed combination instead of typing it;
+                        // Backspace/Delete clears it
+                        input = document.createElement('input');
+                        input.type = 'text';
+                        input.placeholder = 'None';
+                        input.addEventListener('keydown', (ev) => {
+                            if (ev.key === 'Tab' || ev.key === 'Escape') return;
+                            ev.preventDefault();
+                            ev.stopPropagation();
+                            if (ev.key === 'Backspace' || ev.key === 'Delete') {
+                                input.value = '';
+                            } else {
+                                input.value = getEventHotkey(ev) || input.value;
+                            }
+                        });
+                    } else if (field.type === 'color') {
+                        // Free text, so any CSS color works and empty means the
+                        // client's own
+                        input = document.createElement('input');
+                        input.type = 'text';
+                        input.placeholder = 'From the client theme';
+                    } else {
+                        input = document.createElement('input');
+                        input.type = field.type;
+                        if (field.min !== undefined) input.min = field.min;
+                    }
+                    row.appendChild(text);
+                    row.appendChild(input);
+                    dialog.appendChild(row);
+                    inputs.set(field, input);
+                }
+
+                function fillForm(settings) {
+                    for (const [field, input] of inputs) {
+                        const value = getPath(settings, field.key);
+                        if (field.type === 'checkbox') {
+                            input.checked = !!value;
+                        } else {
+                            input.value = value === undefined ? '' : value;
+                        }
+                    }
+                }
+
+                function readForm() {
+                    const settings = {};
+                    for (const [field, input] of inputs) {
+                        let value;
+                        if (field.type === 'checkbox') {
+                            value = input.checked;
+                        } else if (field.type === 'number') {
+                            value = input.value === '' ? NaN : Number(input.value);
+                        } else {
+                            value = input.value;
+                        }
+                        setPath(settings, field.key, value);
+                    }
+                    return settings;
+                }
+
+                // Toggle states stored for a realm, room or character. Clearing takes
+                // effect immediately.
+                const scopesHeading = document.createElement('h3');
+                scopesHeading.textContent = 'Scoped toggle states';
+                const scopesList = document.createElement('div');
+                dialog.appendChild(scopesHeading);
+                dialog.appendChild(scopesList);
+
+                function renderScopes() {
+                    scopesList.textContent = '';
+                    const context = getScopeContext();
+                    function addRow(text, detail, onClear) {
+                        const row = document.createElement('div');
+                        row.className = 'msf-dialog-field';
+                        const label = document.createElement('span');
+                        label.textContent = text;
+                        if (detail) label.title = detail;
+                        row.appendChild(label);
+                        if (onClear) {
+                            const btn = document.createElement('button');
+                            btn.type = 'button';
+                            btn.textContent = 'Clear';
+                            btn.addEventListener('click', () => {
+                                onClear();
+                                renderScopes();
+                                applyFilter();
+                            });
+                            row.appendChild(btn);
+                        }
+                        scopesList.appendChild(row);
+                    }
+                    function describeValues(values) {
+                        const extra = Object.keys(values).filter(key => !SCOPED_KEYS.some(d => d.key === key));
+                        return [...SCOPED_KEYS, ...extra.map(getScopedKey).filter(Boolean)]
+                            .filter(d => values[d.key] !== undefined)
+                            .map((d) => {
+                                const value = values[d.key];
+                                return `${d.label}: ${value === true ? 'on' : value === false ? 'off' : value}`;
+                            })
+                            .join(', ');
+                    }
+
+                    // The scopes that apply here, with whatever they override
+                    for (const level of SCOPE_LEVELS.slice(1).reverse()) {
+                        const scope = context[level.id];
+                        if (!scope) continue;
+                        const stored = scopedState[scope.id];
+                        const values = stored ? describeValues(stored.values) : '';
+                        addRow(`${level.label} (${scope.label}): ${values || 'nothing set'}`, values,
+                            values ? () => clearScope(scope.id) : null);
+                    }
+
+                    // Stored scopes for other realms, rooms and characters
+                    const current = new Set(Object.values(context).map(scope => scope.id));
+                    for (const [prefix, noun] of [['host:', 'realms'], ['room:', 'rooms'], ['char:', 'characters']]) {
+                        const others = Object.entries(scopedState)
+                            .filter(([id]) => id.startsWith(prefix) && !current.has(id));
+                        if (others.length === 0) continue;
+                        addRow(`${others.length} other ${noun}`,
+                            others.map(([, scope]) => `${scope.label}: ${describeValues(scope.values)}`).join('\n'),
+                            () => others.forEach(([id]) => clearScope(id)));
+                    }
+                }
+                renderScopes();
+
+                // Cached sleeper status. Clearing takes effect immediately.
+                const statusHeading = document.createElement('h3');
+                statusHeading.textContent = 'Cached sleeper status';
+                const statusRow = document.createElement('div');
+                statusRow.className = 'msf-dialog-field';
+                const statusText = document.createElement('span');
+                const statusClear = document.createElement('button');
+                statusClear.type = 'button';
+                statusClear.textContent = 'Clear cached status';
+                statusClear.addEventListener('click', () => {
+                    clearSleepingStatus();
+                    renderStatus();
+                    applyFilter();
+                });
+                statusRow.appendChild(statusText);
+                statusRow.appendChild(statusClear);
+                dialog.appendChild(statusHeading);
+                dialog.appendChild(statusRow);
+
+                function renderStatus() {
+                    const records = [...sleepingStatus.values()];
+                    const asleep = records.filter(record => record.state === 'asleep').length;
+                    statusText.textContent = `${records.length} characters, ${asleep} asleep`;
+                    statusText.title = records
+                        .map(record => `${record.name || record.avatar} (${record.host}): ${record.state}, ` +
+                            `seen ${formatDuration(Date.now() - record.seen)} ago`)
+                        .join('\n');
+                    statusClear.disabled = records.length === 0;
+                }
+                renderStatus();
+
+                // Character overrides, set from the button on each room badge
+                const overrideSelects = new Map();
+                const overrideEntries = Object.values(charOverrides)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                if (overrideEntries.length > 0) {
+                    const overridesHeading = document.createElement('h3');
+                    overridesHeading.textContent = 'Character overrides';
+                    dialog.appendChild(overridesHeading);
+                    for (const { mode, name } of overrideEntries) {
+                        const row = document.createElement('label');
+                        row.className = 'msf-dialog-field';
+                        const text = document.createElement('span');
+                        text.textContent = name;
+                        const select = document.createElement('select');
+                        const choices = [['', 'Default'], ...Object.entries(OVERRIDE_MODES).map(([m, o]) => [m, o.label])];
+                        for (const [value, label] of choices) {
+                            const option = document.createElement('option');
+                            option.value = value;
+                            option.textContent = label;
+                            select.appendChild(option);
+                        }
+                        select.value = mode;
+                        row.appendChild(text);
+                        row.appendChild(select);
+                        dialog.appendChild(row);
+                        overrideSelects.set(name, select);
+                    }
+                }
+
+                // Watched characters, set from the same menu
+                const watchInputs = [];
+                const watchEntries = Object.values(charWatch)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                if (watchEntries.length > 0) {
+                    const watchHeading = document.createElement('h3');
+                    watchHeading.textContent = 'Watched characters';
+                    dialog.appendChild(watchHeading);
+                    for (const watch of watchEntries) {
+                        const row = document.createElement('div');
+                        row.className = 'msf-dialog-field';
+                        const text = document.createElement('span');
+                        text.textContent = watch.name;
+                        row.appendChild(text);
+                        const boxes = document.createElement('span');
+                        for (const [kind, text] of [['wake', ' wakes '], ['arrive', ' arrives '], ['list', ' listed']]) {
+                            const label = document.createElement('label');
+                            const input = document.createElement('input');
+                            input.type = 'checkbox';
+                            input.checked = !!watch[kind];
+                            label.appendChild(input);
+                            label.appendChild(document.createTextNode(text));
+                            boxes.appendChild(label);
+                            watchInputs.push([watch.name, kind, input]);
+                        }
+                        row.appendChild(boxes);
+                        dialog.appendChild(row);
+                    }
+                }
+
+                // Import / export
+                const jsonHeading = document.createElement('h3');
+                jsonHeading.textContent = 'Import / export';
+                const json = document.createElement('textarea');
+                json.placeholder = 'Paste exported settings JSON here and press Import.';
+                const error = document.createElement('div');
+                error.className = 'msf-dialog-error';
+                dialog.appendChild(jsonHeading);
+                dialog.appendChild(json);
+                dialog.appendChild(error);
+
+                const buttons = document.createElement('div');
+                buttons.className = 'msf-dialog-buttons';
+                function addButton(text, onClick) {
+                    const btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.textContent = text;
+                    btn.addEventListener('click', onClick);
+                    buttons.appendChild(btn);
+                    return btn;
+                }
+
+                addButton('Export', () => {
+                    error.textContent = '';
+                    json.value = JSON.stringify(readForm(), null, 2);
+                    json.select();
+                    if (navigator.clipboard) {
+                        navigator.clipboard.writeText(json.value).catch(() => { /* text stays selected */ });
+                    }
+                });
+                addButton('Import', () => {
+                    error.textContent = '';
+                    try {
+                        // Merge over the current form values so a partial import only
+                        // changes what it contains, and a bad one changes nothing
+                        fillForm(mergeSettings(readForm(), JSON.parse(json.value)));
+                    } catch (e) {
+                        error.textContent = 'Import failed: ' + e.message;
+                    }
+                });
+                addButton('Defaults', () => {
+                    error.textContent = '';
+                    fillForm(DEFAULT_SETTINGS);
+                });
+                const spacer = document.createElement('span');
+                spacer.className = 'msf-dialog-spacer';
+                buttons.appendChild(spacer);
+                addButton('Cancel', close);
+                addButton('Save', () => {
+                    error.textContent = '';
+                    try {
+                        applySettings(readForm());
+                    } catch (e) {
+                        error.textContent = e.message;
+                        return;
+                    }
+                    saveSettings();
+                    for (const [name, select] of overrideSelects) {
+                        setCharOverride(name, select.value || null);
+                    }
+                    for (const [name, kind, input] of watchInputs) {
+                        setCharWatch(name, kind, input.checked);
+                    }
+                    if (CONFIG.notifyDesktop && Object.values(charWatch).some(watch => watch.wake || watch.arrive)) {
+                        requestNotificationPermission();
+                    }
+                    close();
+                    onSettingsChanged();
+                });
+                dialog.appendChild(buttons);
+
+                fillForm(getSettings());
+            },
+        });
+    }
+
+    /**
+     * Apply changed settings without a page reload: restart the periodic
+     * scan with the new interval and rebuild our injected UI.
+     */
+    function onSettingsChanged() {
+        log('Settings changed', getSettings());
+        startPeriodicScan();
+        updatePublicApi();
+        document.querySelectorAll('.msf-toggle-container').forEach(el => el.remove());
+        applyFilter();
+    }
+
+    // =========================================================================
+    // Main Filter Logic
+    // =========================================================================
+
+    function applyFilter() {
+        // ── Suppress observer while we modify the DOM ──
+        // All DOM work between here and resumeObserver() below will generate
+        // MutationObserver records. The observer callback checks this flag
+        // and ignores everything while it's true. resumeObserver() takes the
+        // queued records before clearing it, so all our own mutations are
+        // discarded before we start listening for real ones again.
+        suppressObserver = true;
+        nextGraceExpiry = Infinity;
+
+        // Headers and toggles are rebuilt below; remember which one had
+        // keyboard focus so it can be restored
+        const focused = document.activeElement;
+        const focusedId = focused && focused.id && focused.id.startsWith('msf-') ? focused.id : null;
+
+        updateTheme();
+        updateClientStyles();
+
+        refreshClientModels();
+
+        // Rebuild the toggles if entering a room or switching character
+        // changed their resolved state
+        if (refreshScopedState()) {
+            document.querySelectorAll('.msf-toggle-container').forEach(el => el.remove());
+        }
+
+        const inRoom = findInRoomSection();
+        if (inRoom) {
+            filterRoomPanel(inRoom.section);
+            updatePopulation(inRoom.section);
+        } else {
+            log('Could not find "In room" section');
+        }
+        scopeObserver(inRoom && inRoom.section);
+
+        filterAwakePanel();
+
+        updateRegistry();
+        detectArrivals();
+        saveTierTimes();
+
+        // Filter exit chars using inactive/asleep avatars from the Awake panel
+        filterExitChars();
+        updateWatchlist();
+        emitFilterEvents();
+
+        // Re-filter when the earliest grace period runs out
+        clearTimeout(graceTimer);
+        if (nextGraceExpiry !== Infinity) {
+            graceTimer = setTimeout(scheduleApply, nextGraceExpiry - Date.now());
+        }
+
+        if (focusedId && !document.contains(focused)) {
+            const el = document.getElementById(focusedId);
+            if (el) el.focus();
+        }
+
+        resumeObserver();
+    }
+
+    /**
+     * Split the "In room" section into presence tier sections.
+     */
+    function filterRoomPanel(section) {
+        // Elements that this pass brought up to date; resetCharList() undoes
+        // the grouping of everything else
+        const keep = new Set();
+
+        // Get all character elements (only top-level .pageroom-char, not inner elements)
+        const charElements = getCharElements(section);
+        log(`Found ${charElements.length} character elements`);
+
+        // Ensure toggle exists — insert inside .panelsection--title, before
+        // .pageroom--inroomheader, or at the top of the section content if
+        // that header is missing.
+        if (!section.querySelector('.msf-toggle-container')) {
+            const titleEl = section.querySelector(CONFIG.selectors.panelTitle);
+            const inroomHeader = section.querySelector(CONFIG.selectors.inRoomHeader);
+            if (titleEl && inroomHeader && inroomHeader.parentElement === titleEl) {
+                titleEl.insertBefore(createRoomToggle(), inroomHeader);
+            } else {
+                const content = section.querySelector(CONFIG.selectors.panelContent) || section;
+                content.insertBefore(createRoomToggle(), content.firstChild);
+            }
+        }
+
+        for (const el of charElements) {
+            ensureOverrideButton(el);
+        }
+
+        const list = charElements.length > 0 ? findCharList(charElements) : null;
+        if (list) {
+            ensureSearchBar(list);
+            applyRoomSearch();
+        }
+
+        if (list && splitEnabled && displayMode === 'split') {
+            announceMoves(splitRoomList({ panel: 'room', idPrefix: 'msf-tier-' }, list, charElements, keep));
+        } else {
+            if (list && splitEnabled) markRoomSleepers(displayMode, list, charElements, keep);
+            roomPlacement.clear();
+        }
+        resetCharList('room', keep);
+    }
+
+    /**
+     * Show the sleepers of the room list in the dim, hide or compact display
+     * mode. Unlike the split, characters keep their place in the list
+     * (compact mode moves sleepers to a strip at the end). Characters
+     * overridden as hidden are hidden in every mode.
+     */
+    function markRoomSleepers(mode, list, charElements, keep) {
+        const sleepers = [];
+        const hidden = [];
+        for (const el of charElements) {
+            const tier = getFilterTier(el);
+            if (!tier) {
+                hidden.push(el);
+            } else if (tier.sleeper) {
+                sleepers.push(el);
+            }
+        }
+        log(`${mode}: ${sleepers.length} sleepers, ${hidden.length} hidden`);
+
+        if (mode === 'hide') {
+            hideChars('room', list, [...sleepers, ...hidden], keep,
+                'Sleepers are hidden by the display mode. Pick another mode to see them.');
+            return;
+        }
+        hideChars('room', list, hidden, keep);
+        if (sleepers.length === 0) return;
+
+        if (mode === 'dim') {
+            for (const el of sleepers) {
+                setItemState(getListItem(el, list), 'room', keep, { dimmed: true });
+            }
+            return;
+        }
+
+        // Compact: a wrapping strip of avatars after the awake characters
+        const base = getTrailingOrder();
+        let label = findInjected(list, el => el.classList.contains('msf-compact-label'));
+        if (!label) {
+            label = document.createElement('div');
+            label.className = 'msf-compact-label';
+            label.dataset.msfPanel = 'room';
+            list.appendChild(label);
+        }
+        keep.add(label);
+        if (label.style.order !== String(base)) label.style.order = base;
+        setText(label, `${sleepers.length} sleeping`);
+        sortChars(sleepers, true).forEach((el, i) => {
+            const item = getListItem(el, list);
+            setItemState(item, 'room', keep, { order: base + 1 + i, compact: true });
+            const name = getCharName(el) || '';
+            if (item.title !== name) item.title = name;
+        });
+        setListState(list, 'room', keep, { compact: true });
+    }
+
+    /**
+     * Sort the characters of a room list into sections. Characters matching
+     * a section rule go to the rule's section, the others are sorted by
+     * tier: characters in split tiers are grouped under their tier's header
+     * below the main list, characters overridden as hidden are left out
+     * entirely. Returns where each character was placed, for
+     * announceMoves().
+     */
+    function splitRoomList({ panel, idPrefix }, list, charElements, keep) {
+        const rules = compileRules();
+        const byRule = new Map(rules.map(rule => [rule.id, []]));
+        const byTier = new Map(CONFIG.tiers.map(tier => [tier.id, []]));
+        const awake = [];
+        const hidden = [];
+
+        for (const el of charElements) {
+            const rule = getCharRule(rules, el);
+            if (rule) {
+                byRule.get(rule.id).push(el);
+                continue;
+            }
+            const tier = getFilterTier(el);
+            if (!tier) {
+                hidden.push(el);
+            } else if (tier.split) {
+                byTier.get(tier.id).push(el);
+            } else {
+                awake.push(el);
+            }
+        }
+
+        log(`Main list: ${awake.length}, ` +
+            [...rules.map(rule => `${rule.label}: ${byRule.get(rule.id).length}`),
+                ...CONFIG.tiers.map(tier => `${tier.label}: ${byTier.get(tier.id).length}`)].join(', '));
+
+        hideChars(panel, list, hidden, keep);
+
+        // Add "no one awake" placeholder if needed
+        if (awake.length === 0) {
+            let placeholder = findInjected(list, el => el.classList.contains('msf-no-awake-placeholder'));
+            if (!placeholder) {
+                placeholder = document.createElement('div');
+                placeholder.className = 'msf-no-awake-placeholder';
+                placeholder.dataset.msfPanel = panel;
+                list.appendChild(placeholder);
+            }
+            keep.add(placeholder);
+            setText(placeholder, CONFIG.noAwakeText);
+        }
+
+        // Rule sections first, in rule order
+        const context = getScopeContext();
+        rules.forEach((rule, i) => {
+            const ruleChars = byRule.get(rule.id);
+            if (ruleChars.length === 0) return;
+            const openKey = 'open.rule-' + rule.id;
+            const header = groupChars({
+                id: `${idPrefix}rule-${rule.id}`,
+                panel,
+                label: rule.label,
+                order: (i + 1) * SECTION_ORDER_STEP,
+                open: resolveScoped(openKey, context).value,
+                onToggle: open => setScoped(openKey, open),
+                mixedTiers: true,
+            }, list, ruleChars, keep);
+            if (header.dataset.rule !== rule.id) header.dataset.rule = rule.id;
+        });
+
+        // Then each non-empty split tier under its own header, keeping the
+        // CONFIG.tiers order
+        CONFIG.tiers.forEach((tier, i) => {
+            const tierChars = byTier.get(tier.id);
+            if (!tier.split || tierChars.length === 0) return;
+            const header = groupChars({
+                id: idPrefix + tier.id,
+                panel,
+                label: tier.label,
+                order: (rules.length + i + 1) * SECTION_ORDER_STEP,
+                open: tiersOpen[tier.id],
+                onToggle: open => setScoped('open.' + tier.id, open),
+            }, list, tierChars, keep);
+            if (header.dataset.tier !== tier.id) header.dataset.tier = tier.id;
+            for (const el of tierChars) {
+                addDurationLabel(el, panel, getCharTier(el), keep);
+            }
+        });
+
+        const placement = new Map();
+        const place = (els, section) => {
+            for (const el of els) {
+                const name = getCharName(el);
+                if (name) placement.set(normalizeName(name), { name, section });
+            }
+        };
+        place(awake, 'the main list');
+        place(hidden, 'hidden');
+        for (const rule of rules) place(byRule.get(rule.id), rule.label);
+        for (const tier of CONFIG.tiers) place(byTier.get(tier.id), tier.label);
+        return placement;
+    }
+
+    /**
+     * Move sleeper-tier characters of the Awake panel into a "Sleepers"
+     * group at the bottom of its list. Uses the same tier detection and
+     * grouping as the room panel.
+     */
+    function filterAwakePanel() {
+        const keep = new Set();
+        groupAwakeSleepers(keep);
+        resetCharList('awake', keep);
+    }
+
+    function groupAwakeSleepers(keep) {
+        const charElements = getAwakeCharElements();
+        if (charElements.length === 0) return;
+
+        const list = findCharList(charElements);
+        if (!list || !list.parentElement) return;
+
+        // Ensure toggle exists — insert right above the character list
+        if (!document.getElementById('msf-awake-toggle')) {
+            list.parentElement.insertBefore(createAwakeToggle(), list);
+        }
+
+        if (!awakeSplitEnabled) return;
+
+        const sleepers = [];
+        const hidden = [];
+        for (const el of charElements) {
+            const tier = getFilterTier(el);
+            if (!tier) {
+                hidden.push(el);
+            } else if (tier.sleeper) {
+                sleepers.push(el);
+            }
+        }
+        log(`Awake panel sleepers: ${sleepers.length} of ${charElements.length}`);
+
+        hideChars('awake', list, hidden, keep);
+
+        if (sleepers.length > 0) {
+            groupChars({
+                id: 'msf-awake-sleepers',
+                panel: 'awake',
+                label: CONFIG.awakeSleepersLabel,
+                order: SECTION_ORDER_STEP,
+                open: awakeSleepersOpen,
+                onToggle: open => setScoped('awakeSleepersOpen', open),
+                mixedTiers: true,
+            }, list, sleepers, keep);
+            for (const el of sleepers) {
+                addDurationLabel(el, 'awake', getCharTier(el), keep);
+            }
+        }
+    }
+
+    /**
+     * Classify the character behind an exit thumbnail. Returns
+     * { status, name, tier, sleeper, cached }: the identifyExitChar() status,
+     * the character's name when known, its tier with any override applied
+     * (null if overridden as hidden, undefined if unknown), whether it counts
+     * as a sleeper, and the sleeper status cache record used without a tier.
+     */
+    function classifyExitChar(exitChar, cachedAvatars) {
+        const { status, record } = identifyExitChar(exitChar);
+        const tier = status === 'matched' && CONFIG.tiers.find(t => t.id === record.tierId);
+        const mode = status === 'matched' && getCharOverride(record.name);
+        if (mode) {
+            const filterTier = applyOverride(tier || CONFIG.tiers[0], mode);
+            return { status, name: record.name, tier: filterTier, sleeper: !filterTier || filterTier.sleeper, cached: null };
+        }
+        if (tier) {
+            return { status, name: record.name, tier, sleeper: tier.sleeper && !isInGracePeriod(record.name), cached: null };
+        }
+
+        // Not in the room or Awake panel right now (or not identified at
+        // all): fall back to the cached state of its avatar
+        const img = exitChar.querySelector(CONFIG.selectors.avatarImage);
+        const cached = status !== 'ambiguous' && img && img.src ? cachedAvatars.get(img.src.split('?')[0]) : null;
+        return {
+            status,
+            name: (record && record.name) || getExitCharNames(exitChar)[0] || (cached && cached.name) || null,
+            tier: undefined,
+            sleeper: !!cached && cached.state === 'asleep',
+            cached: cached || null,
+        };
+    }
+
+    /**
+     * Filter characters in transparent exit displays.
+     * Hiding is only active while the room panel split is enabled; the
+     * per-exit summaries are shown either way.
+     *
+     * Exit char elements (.pageroom-exitchars--char) are tiny avatar-only
+     * thumbnails with NO level-* classes. Each one is identified through the
+     * character registry and hidden, dimmed or moved last (per the display
+     * mode) if that character is currently in a sleeper tier, or is
+     * overridden as a sleeper or hidden. Thumbnails that can't be tied to exactly one character
+     * are marked as unidentified and left visible, unless the sleeper
+     * status cache has a recent sleeper state for their avatar.
+     */
+    function filterExitChars() {
+        if (!splitEnabled && !CONFIG.exitSummaries) {
+            document.querySelectorAll('.msf-exit-summary').forEach(el => el.remove());
+            for (const exitChar of document.querySelectorAll(CONFIG.selectors.exitChar)) {
+                if ('msfIdentity' in exitChar.dataset) delete exitChar.dataset.msfIdentity;
+                exitChar.classList.remove('msf-unidentified-char', 'msf-hidden-char', 'msf-dimmed-char', 'msf-compact-char');
+            }
+            document.querySelectorAll('.msf-wrap-mode').forEach(el => el.classList.remove('msf-wrap-mode'));
+            return;
+        }
+
+        const cachedAvatars = updateSleepingStatus();
+        const report = { matched: 0, ambiguous: 0, unknown: 0 };
+
+        // Show sleeper chars as the display mode says and enable wrap mode per
+        // exit container. Only thumbnails whose state changed are touched.
+        const mode = splitEnabled ? displayMode : null;
+        const containers = getExitCharContainers();
+        for (const container of containers) {
+            let hidCount = 0;
+            let movedCount = 0;
+            const entries = [];
+            for (const exitChar of getExitCharElements(container)) {
+                const entry = classifyExitChar(exitChar, cachedAvatars);
+                entries.push(entry);
+                report[entry.status]++;
+                const identity = splitEnabled ? entry.status : null;
+                const sleeper = splitEnabled && entry.sleeper;
+
+                if (identity === null) {
+                    if ('msfIdentity' in exitChar.dataset) delete exitChar.dataset.msfIdentity;
+                } else if (exitChar.dataset.msfIdentity !== identity) {
+                    exitChar.dataset.msfIdentity = identity;
+                }
+                const hidden = sleeper && (mode === 'split' || mode === 'hide');
+                exitChar.classList.toggle('msf-unidentified-char', identity !== null && identity !== 'matched' && !sleeper);
+                exitChar.classList.toggle('msf-hidden-char', hidden);
+                exitChar.classList.toggle('msf-dimmed-char', sleeper && mode === 'dim');
+                exitChar.classList.toggle('msf-compact-char', sleeper && mode === 'compact');
+                if (hidden) hidCount++;
+                if (sleeper && mode === 'compact') movedCount++;
+            }
+
+            // Enable wrap mode so visible chars flow in one grid (and compact
+            // sleepers can be ordered after the rest).
+            // display:contents on rows flattens them without touching the DOM.
+            container.classList.toggle('msf-wrap-mode', hidCount > 0 || movedCount > 0);
+            updateExitSummary(container, CONFIG.exitSummaries ? entries : []);
+        }
+
+        if (report.ambiguous || report.unknown) {
+            log(`Exit avatars: ${report.matched} identified, ${report.ambiguous} ambiguous, ${report.unknown} unknown`);
+        }
+        if (exitPeek && !exitPeek.summary.isConnected) closeExitPeek();
+    }
+
+    // =========================================================================
+    // Sleeper status cache
+    //
+    // The Awake panel shows the state of characters whose exit thumbnails
+    // can't otherwise be identified. Their last observed state is kept per
+    // character (by realm and avatar URL) with the time it was last seen, so
+    // exit thumbnails can still be filtered while the Awake panel is empty.
+    // Records expire CONFIG.sleepingStatusTtl minutes after they were last
+    // seen. Tabs merge records, the most recently seen one wins.
+    //
+    // Stored shape: { cleared, records: { "<host> <avatar url>": { host,
+    // avatar, name, state: "asleep" | "awake", seen } } }
+    // =========================================================================
+
+    /**
+     * Load the stored records as a Map with a `cleared` timestamp. The
+     * sleeper URL list stored before 1.20 has no times to go by, so it is
+     * discarded.
      */
-    function findInRoomSection() {
-        const section = document.querySelector('.panelsection.pageroom--chars');
-        if (!section) {
-            log('Could not find .panelsection.pageroom--chars');
-            return null;
+    function loadSleepingStatus() {
+        const records = new Map();
+        records.cleared = 0;
+        let stored = null;
+        try {
+            stored = JSON.parse(GM_getValue(CONFIG.sleepingStatusKey, 'null'));
+        } catch (_) { /* ignore bad stored data */ }
+
+        if (stored && stored.records && typeof stored.records === 'object') {
+            records.cleared = stored.cleared || 0;
+            for (const record of Object.values(stored.records)) {
+                if (!record || !record.host || !record.avatar) continue;
+                records.set(`${record.host} ${record.avatar}`, { name: null, ...record });
+            }
+        }
+        pruneSleepingStatus(records, Date.now());
+        return records;
+    }
+
+    function pruneSleepingStatus(records, now) {
+        const cutoff = now - CONFIG.sleepingStatusTtl * 60000;
+        for (const [key, record] of records) {
+            if (record.seen < cutoff) records.delete(key);
         }
-        const header = section.querySelector('h3');
-        return { header, section };
+    }
+
+    function getSleepingStatusSignature() {
+        return JSON.stringify([...sleepingStatus].map(([key, record]) => key + ' ' + record.state).sort());
     }
 
     /**
-     * Find the exits section.
-     * Uses the exact class: .panelsection.pageroom--exits
+     * Save the records when a state changed, and otherwise once a minute to
+     * keep their times fresh. A merge of another tab's records updates the
+     * signature, so it isn't written back.
      */
-    function findExitsSection() {
-        const section = document.querySelector('.panelsection.pageroom--exits');
-        if (!section) return null;
-        const header = section.querySelector('h3');
-        return { header, section };
+    function saveSleepingStatus(now) {
+        const signature = getSleepingStatusSignature();
+        if (signature === sleepingStatusSignature && now - sleepingStatusSaved < 60000) return;
+        sleepingStatusSignature = signature;
+        sleepingStatusSaved = now;
+        GM_setValue(CONFIG.sleepingStatusKey, JSON.stringify({
+            cleared: sleepingStatusCleared,
+            records: Object.fromEntries(sleepingStatus),
+        }));
     }
 
     /**
-     * Get character elements from the "In room" section.
-     *
-     * IMPORTANT: We select ONLY .pageroom-char elements. The old code used
-     * [class*="char--"] which also matched inner elements like
-     * .pageroom-char--cont, .pageroom-char--badge, .pageroom-char--name,
-     * producing duplicate/broken entries when cloned into the sleepers section.
+     * Merge the records stored by another tab. Returns true if a state
+     * changed.
      */
-    function getCharElements(section) {
-        if (!section) return [];
-        // .pageroom-char is the top-level wrapper for each character badge row
-        return Array.from(section.querySelectorAll('.pageroom-char'));
+    function mergeSleepingStatus() {
+        const stored = loadSleepingStatus();
+        if (stored.cleared > sleepingStatusCleared) {
+            sleepingStatusCleared = stored.cleared;
+            for (const [key, record] of sleepingStatus) {
+                if (record.seen <= stored.cleared) sleepingStatus.delete(key);
+            }
+        }
+        for (const [key, record] of stored) {
+            const local = sleepingStatus.get(key);
+            if (!local || record.seen > local.seen) sleepingStatus.set(key, record);
+        }
+        pruneSleepingStatus(sleepingStatus, Date.now());
+        const signature = getSleepingStatusSignature();
+        const changed = signature !== sleepingStatusSignature;
+        sleepingStatusSignature = signature;
+        return changed;
     }
 
     /**
-     * Get character elements from exit rooms (transparent exits).
-     *
-     * NOTE: Exit char elements (.pageroom-exitchars--char) are tiny avatar
-     * thumbnails only — they do NOT carry common--level-* classes, so
-     * isSleeperChar() cannot detect their state from the DOM alone.
-     * To filter them, we cross-reference avatar URLs with identified sleepers.
+     * Forget all cached states, in every tab. The Awake panel is recorded
+     * again on the next pass.
      */
-    function getExitCharElements(parentElement) {
-        return Array.from(parentElement.querySelectorAll('.pageroom-exitchars--char'));
+    function clearSleepingStatus() {
+        sleepingStatus.clear();
+        sleepingStatusCleared = Date.now();
+        sleepingStatusSaved = 0;
+        saveSleepingStatus(sleepingStatusCleared);
+        log('Cleared cached sleeper status');
     }
 
-    // =========================================================================
-    // UI Components
-    // =========================================================================
+    /**
+     * Record the state of the Awake panel characters, and get the records of
+     * this realm from getCachedAvatars().
+     * Those badges use the same level classes as the room panel, so
+     * isSleeperChar() works on them unchanged. Only avatars that a single
+     * character uses are recorded, since shared default avatars can't
+     * identify anyone.
+     */
+    function updateSleepingStatus() {
+        const shared = new Set(Array.from(registryByAvatar.keys())
+            .filter(avatarId => registryByAvatar.get(avatarId).length > 1));
+
+        const host = location.hostname;
+        const now = Date.now();
+        for (const el of getAwakeCharElements()) {
+            const img = el.querySelector(`:is(${CONFIG.selectors.avatar}) :is(${CONFIG.selectors.avatarImage})`);
+            if (!img || !img.src || shared.has(getAvatarId(img.src))) continue;
+            const avatar = img.src.split('?')[0];
+            sleepingStatus.set(`${host} ${avatar}`, {
+                host, avatar, name: getCharName(el), state: isSleeperChar(el) ? 'asleep' : 'awake', seen: now,
+            });
+        }
+        pruneSleepingStatus(sleepingStatus, now);
+        saveSleepingStatus(now);
+        return getCachedAvatars();
+    }
 
     /**
-     * Create the toggle switch element
+     * Get the records of this realm as a Map of avatar URL to record.
      */
-    function createToggle() {
-        const container = document.createElement('div');
-        container.className = 'msf-toggle-container';
-        container.title = 'Filter the list to separate asleep and highly idle characters (away/idle level 3)';
+    function getCachedAvatars() {
+        const records = new Map();
+        for (const record of sleepingStatus.values()) {
+            if (record.host === location.hostname) records.set(record.avatar, record);
+        }
+        return records;
+    }
 
-        const toggle = document.createElement('div');
-        toggle.className = 'msf-toggle-switch' + (splitEnabled ? ' active' : '');
+    // =========================================================================
+    // Exit summaries
+    //
+    // Each exit gets a "4 awake · 6 asleep" line above its thumbnails.
+    // Hovering, focusing or tapping it opens a peek listing who is behind the
+    // exit, so you can pick where to go without walking through. Characters
+    // overridden as hidden are left out of both.
+    // =========================================================================
 
-        const label = document.createElement('span');
-        label.className = 'msf-toggle-label';
-        label.textContent = 'Hide sleepers (split)';
+    // Classified characters of each summary, for the peek
+    const exitSummaryEntries = new WeakMap();
+    // The open peek: { summary, element }
+    let exitPeek = null;
 
-        container.appendChild(toggle);
-        container.appendChild(label);
+    function updateExitSummary(container, entries) {
+        entries = entries.filter(entry => entry.tier !== null);
+        let summary = container.previousElementSibling;
+        if (!summary || !summary.classList.contains('msf-exit-summary')) summary = null;
+        if (entries.length === 0) {
+            if (summary) summary.remove();
+            return;
+        }
 
-        container.addEventListener('click', () => {
-            splitEnabled = !splitEnabled;
-            GM_setValue(CONFIG.storageKey, splitEnabled);
-            toggle.classList.toggle('active', splitEnabled);
-            applyFilter();
-        });
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'msf-exit-summary';
+            makeKeyboardActivatable(summary, 'button');
+            summary.setAttribute('aria-expanded', 'false');
+            summary.addEventListener('click', () => openExitPeek(summary));
+            summary.addEventListener('focus', () => openExitPeek(summary));
+            summary.addEventListener('mouseenter', () => openExitPeek(summary));
+            summary.addEventListener('mouseleave', () => {
+                if (document.activeElement !== summary) closeExitPeek();
+            });
+            summary.addEventListener('blur', closeExitPeek);
+            summary.addEventListener('keydown', (ev) => {
+                if (ev.key === 'Escape') closeExitPeek();
+            });
+            container.parentNode.insertBefore(summary, container);
+        }
 
-        return container;
+        const asleep = entries.filter(entry => entry.sleeper).length;
+        const awake = entries.filter(entry => !entry.sleeper && (entry.tier || entry.cached)).length;
+        const unknown = entries.length - asleep - awake;
+        const parts = [`${awake} awake`, `${asleep} asleep`];
+        if (unknown > 0) parts.push(`${unknown} unknown`);
+        setText(summary, parts.join(' · '));
+        exitSummaryEntries.set(summary, entries);
+        if (exitPeek && exitPeek.summary === summary) renderExitPeek();
     }
 
-    /**
-     * Create the sleepers section
-     */
-    function createSleepersSection(sleeperElements) {
-        const section = document.createElement('div');
-        section.className = 'msf-sleepers-section';
-        section.id = 'msf-sleepers-section';
+    function getExitEntryState(entry) {
+        if (entry.tier) return entry.tier.label;
+        if (!entry.cached) return 'Unknown';
+        return `${entry.sleeper ? 'Asleep' : 'Awake'}, seen ${formatDuration(Date.now() - entry.cached.seen)} ago`;
+    }
 
-        // Header
-        const header = document.createElement('div');
-        header.className = 'msf-sleepers-header';
+    function openExitPeek(summary) {
+        if (exitPeek && exitPeek.summary === summary) return;
+        closeExitPeek();
+        const element = document.createElement('div');
+        element.id = 'msf-exit-peek';
+        element.className = 'msf-exit-peek';
+        element.setAttribute('role', 'tooltip');
+        document.body.appendChild(element);
+        exitPeek = { summary, element };
+        summary.setAttribute('aria-expanded', 'true');
+        summary.setAttribute('aria-describedby', element.id);
+        renderExitPeek();
+    }
 
-        const arrow = document.createElement('span');
-        arrow.className = 'msf-sleepers-arrow' + (sleepersOpen ? ' open' : '');
-        arrow.textContent = '►';
+    function renderExitPeek() {
+        const { summary, element } = exitPeek;
+        element.textContent = '';
+        const entries = [...(exitSummaryEntries.get(summary) || [])]
+            .sort((a, b) => a.sleeper - b.sleeper || (a.name || '~').localeCompare(b.name || '~'));
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.classList.toggle('msf-exit-peek-sleeper', entry.sleeper);
+            const name = document.createElement('span');
+            name.textContent = entry.name || 'Unidentified';
+            const state = document.createElement('span');
+            state.className = 'msf-exit-peek-state';
+            state.textContent = getExitEntryState(entry);
+            row.appendChild(name);
+            row.appendChild(state);
+            element.appendChild(row);
+        }
 
-        const title = document.createElement('span');
-        title.textContent = 'Sleepers';
+        const rect = summary.getBoundingClientRect();
+        const margin = 8;
+        let top = rect.bottom + 2;
+        if (top + element.offsetHeight > window.innerHeight - margin) {
+            top = Math.max(margin, rect.top - element.offsetHeight - 2);
+        }
+        element.style.left = Math.max(margin, Math.min(rect.left, window.innerWidth - element.offsetWidth - margin)) + 'px';
+        element.style.top = top + 'px';
+    }
 
-        const count = document.createElement('span');
-        count.className = 'msf-sleepers-count';
-        count.textContent = `(${sleeperElements.length})`;
+    function closeExitPeek() {
+        if (!exitPeek) return;
+        exitPeek.element.remove();
+        exitPeek.summary.setAttribute('aria-expanded', 'false');
+        exitPeek.summary.removeAttribute('aria-describedby');
+        exitPeek = null;
+    }
 
-        header.appendChild(arrow);
-        header.appendChild(title);
-        header.appendChild(count);
+    // =========================================================================
+    // Selector health check
+    //
+    // When a client update renames a class, the script would silently stop
+    // working. checkSelectorHealth() validates the expected structure top
+    // down: a selector is only expected to match when the structure around
+    // it is there, so a room without exits or a closed Awake panel is not an
+    // error. Failures are shown in a banner once they have persisted for
+    // HEALTH_CONFIRM_DELAY, so a half-rendered page doesn't trigger it.
+    // =========================================================================
 
-        header.addEventListener('click', () => {
-            sleepersOpen = !sleepersOpen;
-            GM_setValue(CONFIG.sleepersOpenKey, sleepersOpen);
-            arrow.classList.toggle('open', sleepersOpen);
-            list.classList.toggle('collapsed', !sleepersOpen);
-            if (sleepersOpen) {
-                list.style.maxHeight = list.scrollHeight + 'px';
+    const HEALTH_CONFIRM_DELAY = 10 * 1000;
+    // Failing selector keys of the last check, and since when
+    let healthSignature = '';
+    let healthSince = 0;
+    // Confirmed failures: [{ key, reason }]
+    let selectorFailures = [];
+
+    /**
+     * Check the client markup against CONFIG.selectors. Returns the
+     * failures as [{ key, reason }].
+     */
+    function checkSelectorHealth() {
+        const selectors = CONFIG.selectors;
+        const failures = [];
+        const fail = (key, reason) => failures.push({ key, reason });
+        const find = (root, key) => {
+            try {
+                return root.querySelector(selectors[key]);
+            } catch (_) {
+                return null;
             }
-        });
+        };
+        const expect = (root, key, reason) => {
+            const el = find(root, key);
+            if (!el) fail(key, reason);
+            return el;
+        };
 
-        // List container
-        const list = document.createElement('div');
-        list.className = 'msf-sleepers-list' + (sleepersOpen ? '' : ' collapsed');
+        // We started, so the app container was there
+        expect(document, 'appRoot', 'missing from the page');
 
-        if (sleeperElements.length === 0) {
-            const placeholder = document.createElement('div');
-            placeholder.className = 'msf-no-sleepers-placeholder';
-            placeholder.textContent = 'No sleepers in room.';
-            list.appendChild(placeholder);
-        } else {
-            // Clone sleeper elements into this section
-            for (const el of sleeperElements) {
-                const clone = el.cloneNode(true);
-                // Remove msf-hidden-char from the clone AND all descendants
-                // (applyFilter adds it to the top element, but the old buggy
-                // getCharElements used to also match inner elements and add
-                // the class to them — clean up everything to be safe)
-                clone.classList.remove('msf-hidden-char');
-                clone.querySelectorAll('.msf-hidden-char').forEach(
-                    child => child.classList.remove('msf-hidden-char'),
-                );
-                // Forward clicks to the hidden originals (they still have their
-                // addEventListener handlers and closure references to char.id)
-                const cloneBadge = clone.querySelector('.pageroom-char--badge');
-                const origBadge = el.querySelector('.pageroom-char--badge');
-                if (cloneBadge && origBadge) {
-                    cloneBadge.addEventListener('click', (ev) => {
-                        ev.stopPropagation();
-                        origBadge.click();
-                    });
+        // A room page: anything room-related matches. All the rest of it
+        // should then match too.
+        const roomKeys = ['roomPanel', 'roomName', 'population', 'inRoomSection'];
+        if (roomKeys.some(key => find(document, key))) {
+            for (const key of roomKeys) {
+                expect(document, key, 'missing from the room page');
+            }
+            const inRoom = find(document, 'inRoomSection');
+            if (inRoom) {
+                expect(inRoom, 'panelTitle', 'missing from the "In room" section');
+                expect(inRoom, 'panelContent', 'missing from the "In room" section');
+                expect(inRoom, 'inRoomHeader', 'missing from the "In room" section');
+                // The controlled character is always in the room
+                const char = expect(inRoom, 'roomChar', 'no characters found in the room');
+                if (char) {
+                    for (const key of ['roomCharBadge', 'badge', 'badgeInfo', 'charName', 'badgeText', 'avatar']) {
+                        expect(char, key, 'missing from room characters');
+                    }
                 }
-                const cloneNote = clone.querySelector('.pageroom-char--note');
-                const origNote = el.querySelector('.pageroom-char--note');
-                if (cloneNote && origNote) {
-                    cloneNote.addEventListener('click', (ev) => {
-                        ev.stopPropagation();
-                        origNote.click();
-                    });
+                if (char && !inRoom.querySelector(`[class*="${selectors.levelClassPrefix}"]`)) {
+                    fail('levelClassPrefix', 'no idle level classes found');
                 }
-                list.appendChild(clone);
             }
         }
 
-        section.appendChild(header);
-        section.appendChild(list);
+        // The controlled character is always awake
+        const awake = find(document, 'awakePanel');
+        if (awake) expect(awake, 'awakeChar', 'no characters found in the Awake panel');
 
-        // Set initial max-height for animation
-        if (sleepersOpen) {
-            requestAnimationFrame(() => {
-                list.style.maxHeight = list.scrollHeight + 'px';
-            });
+        const exitsSection = find(document, 'exitsSection');
+        const exitChars = exitsSection && find(exitsSection, 'exitChars');
+        if (exitChars) {
+            expect(exitChars, 'exitCharsRow', 'missing from exit characters');
+            expect(exitChars, 'exitChar', 'no avatars found in exit characters');
+        } else if (find(document, 'exitChars')) {
+            fail('exitsSection', 'exit characters found outside of it');
+        } else if (find(document, 'exitChar')) {
+            fail('exitChars', 'exit avatars found outside of it');
         }
 
-        return section;
+        // Avatars without an image show initials, so only an avatar holding
+        // an image says anything about the image selector
+        const avatar = find(document, 'avatar');
+        if (avatar && avatar.querySelector('img') && !find(avatar, 'avatarImage')) {
+            fail('avatarImage', 'no images found in avatars');
+        }
+        return failures;
     }
 
-    // =========================================================================
-    // Main Filter Logic
-    // =========================================================================
+    /**
+     * Run the health check and update the banner. Called from the periodic
+     * scan.
+     */
+    function updateSelectorHealth() {
+        const failures = checkSelectorHealth();
+        const signature = failures.map(failure => failure.key).join(',');
+        const now = Date.now();
+        if (signature !== healthSignature) {
+            healthSignature = signature;
+            healthSince = now;
+        }
+        const confirmed = signature !== '' && now - healthSince >= HEALTH_CONFIRM_DELAY;
+        if (confirmed && selectorFailures.length === 0) {
+            console.warn('[MuckletSleeperFilter] Selectors not matching:',
+                failures.map(failure => `${failure.key} (${CONFIG.selectors[failure.key]}): ${failure.reason}`).join('; '));
+        }
+        selectorFailures = confirmed ? failures : [];
+        renderHealthBanner();
+    }
 
-    function applyFilter() {
-        const inRoom = findInRoomSection();
-        if (!inRoom) {
-            log('Could not find "In room" section');
+    /**
+     * Show the failing selectors in a small banner, unless the user
+     * dismissed this exact set of failures.
+     */
+    function renderHealthBanner() {
+        let banner = document.getElementById('msf-health-banner');
+        const signature = selectorFailures.map(failure => failure.key).join(',');
+        if (!signature || signature === GM_getValue(CONFIG.healthDismissedKey, '')) {
+            if (banner) banner.remove();
             return;
         }
+        if (banner && banner.dataset.signature === signature) return;
+        if (banner) banner.remove();
 
-        // ── Suppress observer while we modify the DOM ──
-        // All DOM work between here and the rAF reset below will generate
-        // MutationObserver records. The observer callback checks this flag
-        // and ignores everything while it's true.  We reset it on the next
-        // animation frame, which fires AFTER the microtask that delivers
-        // the queued mutation records — so all our own mutations are safely
-        // discarded before we start listening for real ones again.
-        suppressObserver = true;
-
-        const { section } = inRoom;
+        banner = document.createElement('div');
+        banner.id = 'msf-health-banner';
+        banner.className = 'msf-health-banner';
+        banner.dataset.signature = signature;
+        banner.setAttribute('role', 'status');
 
-        // Remove any existing sleepers section we created
-        const existingSleepersSection = document.getElementById('msf-sleepers-section');
-        if (existingSleepersSection) {
-            existingSleepersSection.remove();
+        const text = document.createElement('div');
+        text.textContent = 'Sleeper filter can\'t find parts of the page, the client may have changed:';
+        banner.appendChild(text);
+        const list = document.createElement('ul');
+        for (const { key, reason } of selectorFailures) {
+            const item = document.createElement('li');
+            item.textContent = `${SELECTOR_LABELS[key]} (${CONFIG.selectors[key]}): ${reason}`;
+            list.appendChild(item);
         }
+        banner.appendChild(list);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'msf-dialog-buttons';
+        const settingsBtn = document.createElement('button');
+        settingsBtn.type = 'button';
+        settingsBtn.textContent = 'Edit selectors';
+        settingsBtn.addEventListener('click', () => openSettingsDialog());
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.textContent = 'Dismiss';
+        dismissBtn.addEventListener('click', () => {
+            GM_setValue(CONFIG.healthDismissedKey, signature);
+            banner.remove();
+        });
+        buttons.appendChild(settingsBtn);
+        buttons.appendChild(dismissBtn);
+        banner.appendChild(buttons);
+        document.body.appendChild(banner);
+    }
 
-        // Check if our toggle already exists
-        const existingToggle = section.querySelector('.msf-toggle-container');
+    // =========================================================================
+    // Tab sync
+    //
+    // Open tabs share the stored values. A write in one tab reaches the others
+    // through value-change listeners, and each stored value has its own rule
+    // for settling differences between tabs:
+    //   - Settings, toggle states, overrides and watches: the last write wins
+    //     and is applied right away.
+    //   - Sleeper status cache: merged per character, the most recently seen
+    //     record wins. See the Sleeper status cache section.
+    //   - Tier times: merged per character, the most recently seen entry wins.
+    //   - Room history: the stored copy is adopted, so the next sample adds to
+    //     the other tabs' samples instead of replacing them.
+    // Userscript managers without listeners get the stored values re-read
+    // whenever the tab is shown again.
+    // =========================================================================
 
-        // Get all character elements (only top-level .pageroom-char, not inner elements)
-        const charElements = getCharElements(section);
-        log(`Found ${charElements.length} character elements`);
+    // CONFIG keys of the stored values to sync
+    const SYNCED_KEYS = [
+        'settingsKey', 'storageKey', 'displayModeKey', 'awakeStorageKey', 'sleepersOpenKey', 'awakeSleepersOpenKey',
+        'tiersOpenKey', 'sectionSortKey', 'scopedStateKey', 'overridesKey', 'watchKey',
+        'sleepingStatusKey', 'tierTimesKey', 'historyKey', 'healthDismissedKey',
+    ];
+    const remoteChanges = new Set();
+    let remoteChangeTimer = null;
 
-        // Reset all chars to visible first
-        for (const el of charElements) {
-            el.classList.remove('msf-hidden-char');
+    function initTabSync() {
+        if (typeof GM_addValueChangeListener === 'function') {
+            for (const key of SYNCED_KEYS) {
+                GM_addValueChangeListener(CONFIG[key], (name, oldValue, newValue, remote) => {
+                    if (remote) onRemoteChange(key);
+                });
+            }
+            return;
         }
 
-        // Remove any "no awake" placeholder we might have added
-        const existingPlaceholder = section.querySelector('.msf-no-awake-placeholder');
-        if (existingPlaceholder) existingPlaceholder.remove();
+        log('No value change listeners; syncing when the tab is shown');
+        let stored = readSyncedValues();
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) return;
+            const current = readSyncedValues();
+            for (const key of SYNCED_KEYS) {
+                if (current[key] !== stored[key]) onRemoteChange(key);
+            }
+            stored = current;
+        });
+    }
+
+    function readSyncedValues() {
+        return Object.fromEntries(SYNCED_KEYS.map(key => [key, GM_getValue(CONFIG[key])]));
+    }
+
+    /**
+     * Queue a value changed by another tab. A toggle flip writes several
+     * values at once; they are applied together.
+     */
+    function onRemoteChange(key) {
+        if (!CONFIG.syncTabs) return;
+        remoteChanges.add(key);
+        if (!remoteChangeTimer) remoteChangeTimer = setTimeout(applyRemoteChanges, 50);
+    }
+
+    function applyRemoteChanges() {
+        remoteChangeTimer = null;
+        const keys = new Set(remoteChanges);
+        remoteChanges.clear();
+        log('Changed in another tab:', [...keys].join(', '));
 
-        // Ensure toggle exists — insert inside .panelsection--title, before .pageroom--inroomheader
-        if (!existingToggle) {
-            const titleEl = section.querySelector('.panelsection--title');
-            const inroomHeader = section.querySelector('.pageroom--inroomheader');
-            if (titleEl && inroomHeader) {
-                titleEl.insertBefore(createToggle(), inroomHeader);
+        if (keys.has('tierTimesKey')) {
+            for (const [name, entry] of loadTierTimes()) {
+                const local = tierTimes.get(name);
+                if (!local || entry.seen > local.seen) tierTimes.set(name, entry);
             }
         }
-
-        if (!splitEnabled) {
-            // Unhide any exit chars and remove wrap mode
-            document.querySelectorAll('.pageroom-exitchars--char.msf-hidden-char')
-                .forEach(el => el.classList.remove('msf-hidden-char'));
-            document.querySelectorAll('.pageroom-exitchars.msf-wrap-mode')
-                .forEach(el => el.classList.remove('msf-wrap-mode'));
-            // Resume observer on next frame
-            requestAnimationFrame(() => { suppressObserver = false; });
-            return;
+        if (keys.has('historyKey')) {
+            const stored = loadRoomHistory();
+            for (const id of Object.keys(roomHistory)) delete roomHistory[id];
+            Object.assign(roomHistory, stored);
         }
+        if (keys.has('healthDismissedKey')) renderHealthBanner();
+        const statusChanged = keys.has('sleepingStatusKey') && mergeSleepingStatus();
+        if (keys.has('scopedStateKey')) scopedState = loadScopedState();
+        if (keys.has('overridesKey')) charOverrides = loadCharOverrides();
+        if (keys.has('watchKey')) charWatch = loadCharWatch();
 
-        // Splitting is enabled - categorize characters
-        const sleepers = [];
-        const awake = [];
-
-        for (const el of charElements) {
-            if (isSleeperChar(el)) {
-                sleepers.push(el);
-                el.classList.add('msf-hidden-char');
-            } else {
-                awake.push(el);
+        if (keys.has('settingsKey')) {
+            try {
+                applySettings(JSON.parse(GM_getValue(CONFIG.settingsKey, '{}')));
+            } catch (e) {
+                console.warn('[MuckletSleeperFilter] Ignoring invalid settings from another tab:', e.message);
             }
+            onSettingsChanged();
+        } else if (statusChanged ||
+            [...keys].some(key => !['sleepingStatusKey', 'tierTimesKey', 'historyKey', 'healthDismissedKey'].includes(key))) {
+            // Toggle states are re-resolved from storage on every pass
+            applyFilter();
         }
+    }
 
-        log(`Awake: ${awake.length}, Sleepers: ${sleepers.length}`);
+    // =========================================================================
+    // Public API
+    //
+    // With CONFIG.publicApi on, other userscripts get what this script knows
+    // through window.MuckletSleeperFilter:
+    //
+    //   isSplitEnabled() / setSplitEnabled(on)
+    //   getDisplayMode() / setDisplayMode(mode)
+    //                   "split", "dim", "hide" or "compact": how sleepers are
+    //                   shown while the split is enabled.
+    //   getRoom()     → { id, name, awake: [...], sleepers: [...] }
+    //   getExits()    → [{ name, awake: [...], sleepers: [...], unknown: [...] }]
+    //                   Characters are { name, tier, state }, state being
+    //                   "asleep" or "awake" as sorted (or "unknown"), not
+    //                   the client's own state.
+    //   registerClassifier(fn) / unregisterClassifier(fn)
+    //                   fn({ name, state, level, badge, element }) returns a
+    //                   tier id ("active", "idle", "away", "asleep") to put
+    //                   the character in, or nothing to leave it be. The
+    //                   first classifier to answer wins; overrides still win
+    //                   over classifiers.
+    //   on(event, fn) / off(event, fn)
+    //                   "change" ({ room, exits }) when the lists change,
+    //                   "characterWoke" ({ name, from, to }) and
+    //                   "roomChanged" ({ room, previous }).
+    //
+    // A "MuckletSleeperFilter:ready" event on document announces it. Events
+    // are delivered after the pass that caused them.
+    // =========================================================================
 
-        // Add "no one awake" placeholder if needed
-        if (awake.length === 0 && charElements.length > 0) {
-            const charContainer = charElements[0].parentElement;
-            if (charContainer) {
-                const placeholder = document.createElement('div');
-                placeholder.className = 'msf-no-awake-placeholder';
-                placeholder.textContent = 'No one awake in room.';
-                charContainer.appendChild(placeholder);
+    const API_EVENTS = ['change', 'characterWoke', 'roomChanged'];
+    const apiListeners = new Map(API_EVENTS.map(event => [event, new Set()]));
+    const apiClassifiers = [];
+    const apiEventQueue = [];
+    let apiChangeSignature = '';
+    let apiRoom = null;
+
+    /**
+     * Run the registered classifiers on a character element. Returns the
+     * tier of the first one that answers with a tier id, or null.
+     */
+    function classifyChar(charEl) {
+        if (apiClassifiers.length === 0) return null;
+        const badge = charEl.querySelector(CONFIG.selectors.badgeText);
+        const info = toPage({
+            name: getCharName(charEl),
+            state: getCharState(charEl),
+            level: getDomCharTier(charEl).level,
+            badge: badge ? badge.textContent.trim() : '',
+        });
+        info.element = charEl;
+        for (const classifier of apiClassifiers) {
+            try {
+                const tierId = classifier(info);
+                const tier = tierId && CONFIG.tiers.find(t => t.id === tierId);
+                if (tier) return tier;
+            } catch (e) {
+                console.warn('[MuckletSleeperFilter] Classifier failed:', e);
             }
         }
+        return null;
+    }
 
-        // Create sleepers section after the "In room" section
-        const sleepersSection = createSleepersSection(sleepers);
-        if (section.nextSibling) {
-            section.parentElement.insertBefore(sleepersSection, section.nextSibling);
-        } else {
-            section.parentElement.appendChild(sleepersSection);
-        }
+    function describeChar(name, tier, state) {
+        return { name, tier: tier ? tier.id : null, state };
+    }
 
-        // Filter exit chars using inactive/asleep avatars from the Awake panel
-        if (splitEnabled) {
-            filterExitChars();
-        } else {
-            // Unhide any exit chars we previously hid
-            document.querySelectorAll('.pageroom-exitchars--char.msf-hidden-char')
-                .forEach(el => el.classList.remove('msf-hidden-char'));
+    /**
+     * Get the characters of the "In room" list, sorted into awake and
+     * sleepers the way the split would. Characters overridden as hidden are
+     * left out.
+     */
+    function getRoomSnapshot() {
+        const room = getScopeContext().room;
+        const snapshot = { id: room ? room.id : null, name: room ? room.label : null, awake: [], sleepers: [] };
+        const inRoom = findInRoomSection();
+        if (!inRoom) return snapshot;
+        for (const el of getCharElements(inRoom.section)) {
+            const tier = getFilterTier(el);
+            if (!tier) continue;
+            const char = describeChar(getCharName(el), tier, tier.sleeper ? 'asleep' : 'awake');
+            (tier.sleeper ? snapshot.sleepers : snapshot.awake).push(char);
         }
-
-        // Resume observer on next frame
-        requestAnimationFrame(() => { suppressObserver = false; });
+        return snapshot;
     }
 
     /**
-     * Collect avatar base URLs for all inactive/asleep characters from the
-     * Awake panel (left side). Those badges use the same level classes
-     * (.common--level-inactive, .common--level-asleep) as the room panel.
-     * We use this set to hide matching tiny avatars in the exit character grids.
+     * Get the characters visible through each exit, as the exit summaries
+     * count them.
      */
-    function getSleeperAvatarUrlsFromAwakePanel() {
-        const urls = new Set();
-        const awakeChars = document.querySelectorAll('.pageawake-char');
-        for (const el of awakeChars) {
-            const hasInactive = el.querySelector('.common--level-inactive, .common--level-asleep');
-            if (!hasInactive) continue;
-            const img = el.querySelector('.avatar img');
-            if (img && img.src) {
-                urls.add(img.src.split('?')[0]);
+    function getExitSnapshots() {
+        const cachedAvatars = getCachedAvatars();
+        return getExitCharContainers().map((container) => {
+            const exitEl = container.closest(CONFIG.selectors.exit);
+            const nameEl = exitEl && exitEl.querySelector(CONFIG.selectors.exitName);
+            const exit = { name: nameEl ? nameEl.textContent.trim() : null, awake: [], sleepers: [], unknown: [] };
+            for (const exitChar of getExitCharElements(container)) {
+                const entry = classifyExitChar(exitChar, cachedAvatars);
+                if (entry.tier === null) continue;
+                const known = entry.tier || entry.cached;
+                const state = entry.sleeper ? 'asleep' : known ? 'awake' : 'unknown';
+                const list = entry.sleeper ? exit.sleepers : known ? exit.awake : exit.unknown;
+                list.push(describeChar(entry.name, entry.tier, state));
             }
+            return exit;
+        });
+    }
+
+    /**
+     * Queue the events of a filter pass: "roomChanged" when the room is a
+     * different one, and "change" when the room or exit lists differ from
+     * the previous pass. Snapshots are only taken when someone listens.
+     */
+    function emitFilterEvents() {
+        if (!CONFIG.publicApi) return;
+        const room = getScopeContext().room || null;
+        if ((room && room.id) !== (apiRoom && apiRoom.id)) {
+            const describe = r => (r ? { id: r.id, name: r.label } : null);
+            emitApiEvent('roomChanged', { room: describe(room), previous: describe(apiRoom) });
+            apiRoom = room;
         }
 
-        if (urls.size === 0) {
-            const raw = GM_getValue(CONFIG.sleepingStatusKey, '[]');
-            try {
-                const storedUrls = JSON.parse(raw);
-                if (Array.isArray(storedUrls)) {
-                    for (const u of storedUrls) urls.add(u);
+        if (apiListeners.get('change').size === 0) return;
+        const detail = { room: getRoomSnapshot(), exits: getExitSnapshots() };
+        const signature = JSON.stringify(detail);
+        if (signature === apiChangeSignature) return;
+        apiChangeSignature = signature;
+        emitApiEvent('change', detail);
+    }
+
+    function emitApiEvent(event, detail) {
+        if (!CONFIG.publicApi || apiListeners.get(event).size === 0) return;
+        if (apiEventQueue.length === 0) setTimeout(flushApiEvents, 0);
+        apiEventQueue.push([event, detail]);
+    }
+
+    function flushApiEvents() {
+        for (const [event, detail] of apiEventQueue.splice(0)) {
+            for (const listener of apiListeners.get(event)) {
+                try {
+                    listener(toPage(detail));
+                } catch (e) {
+                    console.warn(`[MuckletSleeperFilter] "${event}" listener failed:`, e);
                 }
-            } catch (_) { /* ignore bad stored data */ }
-        } else {
-            GM_setValue(CONFIG.sleepingStatusKey, JSON.stringify(Array.from(urls)));
+            }
         }
-
-        return urls;
     }
 
     /**
-     * Filter characters in transparent exit displays.
-     *
-     * Exit char elements (.pageroom-exitchars--char) are tiny avatar-only
-     * thumbnails with NO level-* classes. We use the Awake panel (left) as
-     * the source of truth: find all .pageawake-char with .common--level-inactive
-     * or .common--level-asleep, collect their avatar URLs, then hide any exit
-     * avatar that matches.
+     * Copy a value into the page's scope. Needed where the userscript
+     * manager runs the script in its own sandbox (Firefox).
      */
-    function filterExitChars() {
-        // Reset all exit char visibility and wrap mode first
-        document.querySelectorAll('.pageroom-exitchars--char.msf-hidden-char')
-            .forEach(el => el.classList.remove('msf-hidden-char'));
-        document.querySelectorAll('.pageroom-exitchars.msf-wrap-mode')
-            .forEach(el => el.classList.remove('msf-wrap-mode'));
+    function toPage(value) {
+        return typeof cloneInto === 'function' ? cloneInto(value, pageWindow) : value;
+    }
 
-        if (!splitEnabled) return;
+    function checkApiEvent(event) {
+        if (!apiListeners.has(event)) throw new Error(`Unknown event "${event}", expected one of ${API_EVENTS.join(', ')}`);
+    }
 
-        const sleeperAvatarUrls = getSleeperAvatarUrlsFromAwakePanel();
-        if (sleeperAvatarUrls.size === 0) return;
+    const publicApi = {
+        version: typeof GM_info !== 'undefined' ? GM_info.script.version : null,
+        isSplitEnabled: () => splitEnabled,
+        setSplitEnabled(on) {
+            setScoped('split', !!on);
+            applyFilter();
+        },
+        getDisplayMode: () => displayMode,
+        setDisplayMode(mode) {
+            if (!DISPLAY_MODES.some(m => m.id === mode)) {
+                throw new Error(`Unknown display mode "${mode}", expected one of ${DISPLAY_MODES.map(m => m.id).join(', ')}`);
+            }
+            setScoped('displayMode', mode);
+            applyFilter();
+        },
+        getRoom: () => toPage(getRoomSnapshot()),
+        getExits: () => toPage(getExitSnapshots()),
+        registerClassifier(fn) {
+            if (typeof fn !== 'function') throw new Error('Classifier must be a function');
+            if (!apiClassifiers.includes(fn)) apiClassifiers.push(fn);
+            scheduleApply();
+        },
+        unregisterClassifier(fn) {
+            const index = apiClassifiers.indexOf(fn);
+            if (index !== -1) apiClassifiers.splice(index, 1);
+            scheduleApply();
+        },
+        on(event, fn) {
+            checkApiEvent(event);
+            if (typeof fn !== 'function') throw new Error('Listener must be a function');
+            apiListeners.get(event).add(fn);
+        },
+        off(event, fn) {
+            checkApiEvent(event);
+            apiListeners.get(event).delete(fn);
+        },
+    };
 
-        // Hide sleeper chars and enable wrap mode per exit container
-        const containers = document.querySelectorAll('.pageroom-exitchars');
-        for (const container of containers) {
-            const exitChars = Array.from(
-                container.querySelectorAll('.pageroom-exitchars--char')
-            );
-            if (exitChars.length === 0) continue;
+    /**
+     * Expose or withdraw the API according to CONFIG.publicApi. Withdrawing
+     * drops all classifiers and listeners.
+     */
+    function updatePublicApi() {
+        const exposed = !!pageWindow.MuckletSleeperFilter;
+        if (CONFIG.publicApi && !exposed) {
+            pageWindow.MuckletSleeperFilter = typeof cloneInto === 'function'
+                ? cloneInto(publicApi, pageWindow, { cloneFunctions: true })
+                : Object.freeze(publicApi);
+            apiRoom = getScopeContext().room || null;
+            document.dispatchEvent(new CustomEvent('MuckletSleeperFilter:ready'));
+            log('Public API exposed');
+        } else if (!CONFIG.publicApi && exposed) {
+            delete pageWindow.MuckletSleeperFilter;
+            apiClassifiers.length = 0;
+            for (const listeners of apiListeners.values()) listeners.clear();
+            apiChangeSignature = '';
+            log('Public API withdrawn');
+        }
+    }
 
-            let hidCount = 0;
-            for (const exitChar of exitChars) {
-                const img = exitChar.querySelector('img');
-                if (!img || !img.src) continue;
-                const baseUrl = img.src.split('?')[0];
-                if (sleeperAvatarUrls.has(baseUrl)) {
-                    exitChar.classList.add('msf-hidden-char');
-                    hidCount++;
-                }
-            }
+    // =========================================================================
+    // Benchmark
+    //
+    // With CONFIG.debug on, `msfBenchmark(count)` in the page console times
+    // the room grouping on a synthetic room of `count` characters, built
+    // off-screen with the client's markup. It compares a full rebuild (what
+    // every pass used to do) with incremental passes, and counts the DOM
+    // mutations each causes, which is what makes large rooms flicker.
+    // =========================================================================
 
-            // Enable wrap mode so visible chars flow in one grid.
-            // display:contents on rows flattens them without touching the DOM.
-            if (hidCount > 0) {
-                container.classList.add('msf-wrap-mode');
-            }
+    function benchmarkFilter(count = 200) {
+        const levels = CONFIG.tiers.map(tier => tier.level);
+        const container = document.createElement('div');
+        container.style.cssText = 'position: absolute; left: -10000px; width: 300px;';
+        const list = document.createElement('div');
+        for (let i = 0; i < count; i++) {
+            const item = document.createElement('div');
+            item.innerHTML =
+                '<div class="pageroom-char"><div class="pageroom-char--badge badge"><div class="badge--info">' +
+                `<div class="pageroom-char--name common--level-${levels[i % levels.length]}">` +
+                `<span>Benchmark</span> <span>Char${i}</span></div>` +
+                '<div class="badge--text">Synthetic</div></div></div></div>';
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+        document.body.appendChild(container);
+
+        const charElements = getCharElements(container);
+        const recorder = new MutationObserver(() => {});
+        recorder.observe(container, { childList: true, subtree: true, attributes: true, characterData: true });
+        const results = [];
+        function pass(label, rebuild) {
+            const start = performance.now();
+            if (rebuild) resetCharList('benchmark');
+            const keep = new Set();
+            splitRoomList({ panel: 'benchmark', idPrefix: 'msf-benchmark-tier-' }, list, charElements, keep);
+            resetCharList('benchmark', keep);
+            results.push({
+                pass: label,
+                ms: +(performance.now() - start).toFixed(2),
+                mutations: recorder.takeRecords().length,
+            });
         }
+        function changeLevels(share) {
+            const step = Math.max(1, Math.round(1 / share));
+            charElements.forEach((el, i) => {
+                if (i % step !== 0) return;
+                const name = el.querySelector('.pageroom-char--name');
+                const level = levels[(levels.indexOf(getDomCharTier(el).level) + 1) % levels.length];
+                name.className = `pageroom-char--name common--level-${level}`;
+            });
+            recorder.takeRecords();
+        }
+
+        suppressObserver = true;
+        try {
+            pass('initial', false);
+            pass('full rebuild, unchanged', true);
+            pass('incremental, unchanged', false);
+            changeLevels(0.05);
+            pass('full rebuild, 5% changed', true);
+            changeLevels(0.05);
+            pass('incremental, 5% changed', false);
+        } finally {
+            recorder.disconnect();
+            resetCharList('benchmark');
+            container.remove();
+            resumeObserver();
+        }
+        console.table(results);
+        return results;
     }
 
     // =========================================================================
@@ -620,12 +5608,16 @@
      *
      * Key design decisions:
      *   1. suppressObserver flag — applyFilter() sets this before doing any
-     *      DOM work and clears it on the next animation frame.  All mutation
-     *      records generated by our own changes are delivered (as microtasks)
-     *      before the rAF fires, so they are safely discarded.
-     *   2. Scoped to the room panel — we only react to mutations whose target
-     *      is inside .roompanel or .pageroom. This ignores chat messages, the
-     *      left-side Awake panel, tooltips, counters, etc.
+     *      DOM work and clears it through resumeObserver() when done, which
+     *      first takes the records generated by our own changes so they are
+     *      discarded. This is synchronous on purpose: animation frames are
+     *      paused in background tabs, where the observer must keep working.
+     *   2. Scoped to the character panels — once the room panel is found,
+     *      scopeObserver() attaches the observer to it and the left-side
+     *      .pageawake panel only; until then it watches the body. Either way
+     *      we only react to mutations whose target is inside .roompanel,
+     *      .pageroom or .pageawake. This ignores chat messages, tooltips,
+     *      counters, etc.
      *   3. No catch-all addedNodes/removedNodes — the old code fired on ANY
      *      node insertion anywhere in the body. Now we only care about class
      *      attribute changes (character state transitions) and childList
@@ -645,52 +5637,107 @@
                 const target = mutation.target;
                 if (!target || !target.closest) continue;
 
-                // Only care about mutations inside the room panel
-                if (!target.closest('.roompanel, .pageroom')) continue;
+                // Only care about mutations inside the room and Awake panels
+                if (!target.closest(`${CONFIG.selectors.roomPanel}, ${CONFIG.selectors.awakePanel}`)) continue;
 
                 // Skip mutations inside our own injected elements
-                if (target.closest('#msf-sleepers-section, .msf-toggle-container')) {
+                if (target.closest('.msf-tier-header, .msf-toggle-container, .msf-search-bar, .msf-watchlist')) {
                     continue;
                 }
 
-                // Attribute change on a character element (e.g. level class changed)
+                // Attribute change on a character element (e.g. level class changed).
+                // Level changes are recorded right away so tier times are exact
+                // rather than delayed until the next filter pass.
                 if (mutation.type === 'attributes') {
                     const cls = target.className?.toString() || '';
-                    if (cls.includes('common--level') || cls.includes('pageroom-char')) {
+                    const charSelector = `${CONFIG.selectors.roomChar}, ${CONFIG.selectors.awakeChar}`;
+                    if (cls.includes(CONFIG.selectors.levelClassPrefix)) {
+                        const charEl = target.closest(charSelector);
+                        if (charEl) recordCharElementTier(charEl);
+                        shouldReapply = true;
+                    } else if (target.matches(charSelector)) {
                         shouldReapply = true;
-                        break;
                     }
                 }
 
-                // Child list change inside the room panel (room nav, char added/removed)
+                // Child list change inside a panel (room nav, char added/removed)
                 if (mutation.type === 'childList' &&
                     (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
                     shouldReapply = true;
-                    break;
                 }
             }
 
             if (shouldReapply) {
-                clearTimeout(setupObserver._timeout);
-                setupObserver._timeout = setTimeout(applyFilter, 300);
+                scheduleApply();
             }
         });
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['class'],
-        });
+        observedRoots = [];
+        scopeObserver(null);
+    }
+
+    const OBSERVER_OPTIONS = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class'],
+    };
+
+    /**
+     * Attach the observer to the room panel containing `roomSection` and the
+     * Awake panel, or to the body while there is no room panel, so its
+     * appearance is noticed. Does nothing if already attached to those.
+     * A replaced panel is caught by the periodic scan, whose applyFilter()
+     * pass scopes the observer again.
+     */
+    function scopeObserver(roomSection) {
+        if (!observer) return;
+        // The outermost room panel element, which survives room navigation
+        let roomRoot = roomSection && roomSection.closest(CONFIG.selectors.roomPanel);
+        while (roomRoot && roomRoot.parentElement && roomRoot.parentElement.closest(CONFIG.selectors.roomPanel)) {
+            roomRoot = roomRoot.parentElement.closest(CONFIG.selectors.roomPanel);
+        }
+        const awakeRoot = document.querySelector(CONFIG.selectors.awakePanel);
+        const roots = roomRoot ? [roomRoot, awakeRoot].filter(Boolean) : [document.body];
+        if (roots.length === observedRoots.length && roots.every((root, i) => root === observedRoots[i])) return;
+
+        observer.disconnect();
+        for (const root of roots) {
+            observer.observe(root, OBSERVER_OPTIONS);
+        }
+        observedRoots = roots;
+        log('Observing', roots.map(root => root.className || root.tagName).join(', '));
+    }
+
+    /**
+     * End a stretch of our own DOM changes: drop the mutation records they
+     * queued, then listen again.
+     */
+    function resumeObserver() {
+        if (observer) observer.takeRecords();
+        suppressObserver = false;
+    }
+
+    /**
+     * Run applyFilter() shortly, coalescing bursts of changes into one pass.
+     */
+    function scheduleApply() {
+        clearTimeout(scheduleApply._timeout);
+        scheduleApply._timeout = setTimeout(applyFilter, 300);
     }
 
     /**
      * Periodic scan as a safety net for cases the observer misses.
      * Checks whether the room panel has changed (e.g. navigated to a new room)
      * or whether the toggle was removed by the client re-rendering.
+     * Calling it again restarts the scan with the current interval.
      */
     function startPeriodicScan() {
-        setInterval(() => {
+        clearInterval(scanTimer);
+        scanTimer = setInterval(() => {
+            updateSelectorHealth();
+            updateTheme();
+
             const inRoom = findInRoomSection();
             if (inRoom) {
                 // Room panel changed (navigated to a different room)
@@ -706,10 +5753,18 @@
                     return;
                 }
 
+                // Keep sampling quiet rooms
+                recordPopulation(inRoom.section);
+
             } else {
                 // Room panel gone (e.g. switched to a different tab)
                 lastRoomPanel = null;
             }
+
+            // Awake panel toggle got removed by a client re-render
+            if (!document.getElementById('msf-awake-toggle') && getAwakeCharElements().length > 0) {
+                applyFilter();
+            }
         }, CONFIG.scanInterval);
     }
 
@@ -717,20 +5772,43 @@
      * Wait for the app to load, then initialize.
      *
      * The Mucklet client renders into a .layoutdesktop (or .layoutmobile)
-     * container inside .screen.viewport. We wait for that to appear.
+     * container inside .screen.viewport (CONFIG.selectors.appRoot). We wait
+     * for that to appear.
      */
     function init() {
         log('Initializing Mucklet Sleeper Filter');
 
+        const waitStart = Date.now();
+        let waitWarned = false;
         const waitForApp = setInterval(() => {
             // The client is loaded when the layout container exists with content
-            const appRoot = document.querySelector('.layoutdesktop, .layoutmobile, .screen.viewport');
+            let appRoot = null;
+            try {
+                appRoot = document.querySelector(CONFIG.selectors.appRoot);
+            } catch (_) { /* invalid selector, warned about below */ }
+            // The health check only runs once we have started, so say why
+            // we haven't
+            if (!appRoot && !waitWarned && Date.now() - waitStart >= HEALTH_CONFIRM_DELAY) {
+                waitWarned = true;
+                console.warn('[MuckletSleeperFilter] Waiting for the client, app container not found:',
+                    CONFIG.selectors.appRoot);
+            }
             if (appRoot && appRoot.children.length > 0) {
                 clearInterval(waitForApp);
                 log('App detected, starting filter');
 
                 setupObserver();
                 startPeriodicScan();
+                initTabSync();
+                updatePublicApi();
+                if (typeof window.matchMedia === 'function') {
+                    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', updateTheme);
+                }
+                document.addEventListener('keydown', onHotkey);
+                if (CONFIG.debug) {
+                    pageWindow.msfBenchmark = benchmarkFilter;
+                }
+                setInterval(updateDurationLabels, 30000);
 
                 // Give the room panel a moment to render before first apply
                 setTimeout(applyFilter, 500);